@@ -0,0 +1,664 @@
+import { createElement } from 'lwc';
+import PathAssistant from 'c/pathAssistant';
+import {
+    getObjectInfo,
+    getPicklistValuesByRecordType
+} from 'lightning/uiObjectInfoApi';
+import {
+    getRecord,
+    notifyRecordUpdateAvailable,
+    updateRecord
+} from 'lightning/uiRecordApi';
+import { isEmpEnabled, subscribe } from 'lightning/empApi';
+import { refreshApex } from '@salesforce/apex';
+import getPathConfig from '@salesforce/apex/PathAssistantController.getPathConfig';
+
+jest.mock('lightning/uiRecordApi', () => {
+    const actual = jest.requireActual('lightning/uiRecordApi');
+    return {
+        ...actual,
+        updateRecord: jest.fn(),
+        notifyRecordUpdateAvailable: jest.fn(() => Promise.resolve())
+    };
+});
+
+jest.mock(
+    '@salesforce/apex',
+    () => ({ refreshApex: jest.fn(() => Promise.resolve()) }),
+    { virtual: true }
+);
+
+const mockRecord = require('./data/getRecord.json');
+const mockObjectInfo = require('./data/getObjectInfo.json');
+const mockPicklistValues = require('./data/getPicklistValuesByRecordType.json');
+
+jest.mock(
+    '@salesforce/apex/PathAssistantController.getPathConfig',
+    () => {
+        const {
+            createApexTestWireAdapter
+        } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+
+/**
+ * Creates the component on a Project__c record page
+ * @param {Object} props Properties set before inserting the component
+ */
+function createPath(props = {}) {
+    const element = createElement('c-path-assistant', { is: PathAssistant });
+    Object.assign(
+        element,
+        {
+            recordId: mockRecord.id,
+            objectApiName: 'Project__c',
+            picklistField: 'Status__c',
+            closedValues: 'Completed:ok,Cancelled:ko'
+        },
+        props
+    );
+    document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Emits the record, in the given step, and its metadata, then waits for the
+ * component to render
+ * @param {String} stepValue Step the record is in
+ */
+function loadRecord(stepValue = 'New') {
+    // picklist values are requested once the record type is known
+    emitRecord(stepValue);
+    getObjectInfo.emit(mockObjectInfo);
+    getPicklistValuesByRecordType.emit(mockPicklistValues);
+    return flushPromises();
+}
+
+/**
+ * Emits the record in the given step
+ * @param {String} stepValue Step the record is in
+ * @param {String} lastModifiedDate Last modified date of the record
+ */
+function emitRecord(stepValue, lastModifiedDate = mockRecord.lastModifiedDate) {
+    getRecord.emit({
+        ...mockRecord,
+        lastModifiedDate,
+        fields: {
+            ...mockRecord.fields,
+            Status__c: { value: stepValue, displayValue: stepValue }
+        }
+    });
+}
+
+function flushPromises() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Makes updateRecord return the record saved in the given step
+ * @param {String} stepValue Step the record is saved in
+ */
+function mockSave(stepValue) {
+    updateRecord.mockResolvedValue({
+        ...mockRecord,
+        lastModifiedDate: '2024-03-01T11:00:00.000Z',
+        fields: {
+            ...mockRecord.fields,
+            Status__c: { value: stepValue, displayValue: stepValue }
+        }
+    });
+}
+
+// clicks on a step of the main path
+function clickStep(element, stepValue) {
+    getStepLinks(element)
+        .find((link) => link.dataset.value === stepValue)
+        .click();
+    return flushPromises();
+}
+
+// clicks on the update button
+function clickUpdateButton(element) {
+    element.shadowRoot.querySelector('[data-update-button]').click();
+    return flushPromises();
+}
+
+// links of the main path steps
+function getStepLinks(element) {
+    return [
+        ...element.shadowRoot.querySelectorAll(
+            '.path-assistant__steps .slds-path__link'
+        )
+    ];
+}
+
+describe('c-path-assistant', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    describe('closed values', () => {
+        it('merges the closed steps into the last step', async () => {
+            const element = createPath();
+            await loadRecord();
+
+            expect(
+                getStepLinks(element).map((link) => link.dataset.value)
+            ).toEqual([
+                'New',
+                'In Progress',
+                'On Hold',
+                'pathAssistant_selectAClosedStepValue'
+            ]);
+        });
+
+        it('combines closed OK and KO steps with the closed values', async () => {
+            const element = createPath({
+                closedValues: 'Cancelled:ko',
+                closedOk: 'Completed',
+                closedKo: 'On Hold'
+            });
+            await loadRecord();
+
+            expect(
+                getStepLinks(element).map((link) => link.dataset.value)
+            ).toEqual([
+                'New',
+                'In Progress',
+                'pathAssistant_selectAClosedStepValue'
+            ]);
+        });
+
+        it('displays the closed step the record is in as last step', async () => {
+            const element = createPath();
+            await loadRecord('Cancelled');
+
+            const lastStep = getStepLinks(element).pop();
+            expect(lastStep.dataset.value).toBe('Cancelled');
+            expect(lastStep.textContent).toContain('Cancelled');
+        });
+
+        it('uses the closed values of the custom metadata configuration', async () => {
+            const element = createPath({ useMetadataConfig: true });
+            getPathConfig.emit({ closedValues: 'On Hold:ko,Cancelled:ko' });
+            await loadRecord();
+
+            expect(
+                getStepLinks(element).map((link) => link.dataset.value)
+            ).toEqual([
+                'New',
+                'In Progress',
+                'Completed',
+                'pathAssistant_selectAClosedStepValue'
+            ]);
+        });
+    });
+
+    describe('key fields', () => {
+        const stepGuidance = JSON.stringify({
+            'In Progress': { keyFields: ['Description__c'] },
+            'On Hold': { guidance: 'Explain why' }
+        });
+
+        // expands the guidance panel and changes the value of a key field
+        async function changeKeyField(element, fieldApiName, value) {
+            element.shadowRoot.querySelector('.slds-path__trigger').click();
+            await flushPromises();
+
+            element.shadowRoot
+                .querySelector('c-path-assistant-field')
+                .dispatchEvent(
+                    new CustomEvent('fieldchange', {
+                        detail: { fieldApiName, value }
+                    })
+                );
+            return flushPromises();
+        }
+
+        it('saves the key fields of the selected step with it', async () => {
+            const element = createPath({ stepGuidance });
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickStep(element, 'In Progress');
+            await changeKeyField(element, 'Description__c', 'Kick-off done');
+            await clickUpdateButton(element);
+
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(updateRecord.mock.calls[0][0].fields).toEqual({
+                Id: mockRecord.id,
+                Status__c: 'In Progress',
+                Description__c: 'Kick-off done'
+            });
+        });
+
+        it('does not save the key fields of another step', async () => {
+            const element = createPath({ stepGuidance });
+            await loadRecord();
+            mockSave('On Hold');
+
+            await clickStep(element, 'In Progress');
+            await changeKeyField(element, 'Description__c', 'Kick-off done');
+            await clickStep(element, 'On Hold');
+            await clickUpdateButton(element);
+
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(updateRecord.mock.calls[0][0].fields).toEqual({
+                Id: mockRecord.id,
+                Status__c: 'On Hold'
+            });
+        });
+    });
+
+    describe('labels', () => {
+        it('renders the update button from custom labels', async () => {
+            const element = createPath();
+            await loadRecord();
+            const button = element.shadowRoot.querySelector(
+                '[data-update-button]'
+            );
+
+            expect(button.textContent).toBe('c.PathAssistant_MarkAsComplete');
+
+            await clickStep(element, 'On Hold');
+
+            expect(button.textContent).toBe('c.PathAssistant_MarkAsCurrent');
+        });
+    });
+
+    describe('public events and methods', () => {
+        it('fires beforestepchange and stepchange around the update', async () => {
+            const element = createPath();
+            const beforeHandler = jest.fn();
+            const changeHandler = jest.fn();
+            element.addEventListener('beforestepchange', beforeHandler);
+            element.addEventListener('stepchange', changeHandler);
+            await loadRecord();
+            mockSave('In Progress');
+
+            element.markComplete();
+            await flushPromises();
+
+            expect(beforeHandler).toHaveBeenCalledTimes(1);
+            expect(beforeHandler.mock.calls[0][0].detail).toMatchObject({
+                recordId: mockRecord.id,
+                previousValue: 'New',
+                newValue: 'In Progress'
+            });
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(changeHandler).toHaveBeenCalledTimes(1);
+        });
+
+        it('does not update the record when the change is canceled', async () => {
+            const element = createPath();
+            element.addEventListener('beforestepchange', (event) =>
+                event.preventDefault()
+            );
+            await loadRecord();
+
+            await clickStep(element, 'On Hold');
+            await clickUpdateButton(element);
+
+            expect(updateRecord).not.toHaveBeenCalled();
+        });
+
+        it('cancels the change before the transition action starts', async () => {
+            const element = createPath({
+                transitionActions: JSON.stringify([
+                    { to: 'On Hold', confirm: 'Put the project on hold?' }
+                ])
+            });
+            element.addEventListener('beforestepchange', (event) =>
+                event.preventDefault()
+            );
+            await loadRecord();
+
+            await clickStep(element, 'On Hold');
+            await clickUpdateButton(element);
+
+            expect(element.shadowRoot.querySelector('.slds-modal')).toBeNull();
+            expect(updateRecord).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('undo', () => {
+        const transitionRules = JSON.stringify({
+            New: ['In Progress'],
+            'In Progress': ['New', 'On Hold'],
+            'On Hold': ['In Progress']
+        });
+
+        // clicks on the Undo button of the toast
+        function clickUndoButton(element) {
+            element.shadowRoot
+                .querySelector('.slds-notify_toast lightning-button')
+                .click();
+            return flushPromises();
+        }
+
+        it('undoes the change before the record is loaded again', async () => {
+            const element = createPath({ transitionRules });
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickStep(element, 'In Progress');
+            await clickUpdateButton(element);
+            await clickUndoButton(element);
+
+            expect(updateRecord).toHaveBeenCalledTimes(2);
+            expect(updateRecord.mock.calls[1][0].fields).toEqual({
+                Id: mockRecord.id,
+                Status__c: 'New'
+            });
+            expect(updateRecord.mock.calls[1][1]).toEqual({
+                ifUnmodifiedSince: '2024-03-01T11:00:00.000Z'
+            });
+        });
+
+        it('explains that the record was changed in the meantime', async () => {
+            const element = createPath({ transitionRules });
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickStep(element, 'In Progress');
+            await clickUpdateButton(element);
+            updateRecord.mockRejectedValue({ status: 412, body: {} });
+            await clickUndoButton(element);
+
+            expect(element.shadowRoot.textContent).toContain(
+                'c.PathAssistant_UndoNotPossible'
+            );
+        });
+
+        it('explains that the transition rules forbid the undo', async () => {
+            const element = createPath({ transitionRules });
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickStep(element, 'In Progress');
+            await clickUpdateButton(element);
+            // someone else put the project on hold in the meantime
+            emitRecord('On Hold', '2024-03-01T12:00:00.000Z');
+            await flushPromises();
+            await clickUndoButton(element);
+
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(element.shadowRoot.textContent).toContain(
+                'c.PathAssistant_UndoNotAllowed'
+            );
+        });
+    });
+
+    describe('hidden steps', () => {
+        it('does not display the hidden values as steps', async () => {
+            const element = createPath({ hiddenSteps: 'On Hold, New' });
+            await loadRecord('In Progress');
+
+            expect(
+                getStepLinks(element).map((link) => link.dataset.value)
+            ).toEqual(['In Progress', 'pathAssistant_selectAClosedStepValue']);
+        });
+
+        it('flags a record in a hidden step as off the path', async () => {
+            const element = createPath({ hiddenSteps: 'On Hold' });
+            await loadRecord('On Hold');
+
+            expect(element.shadowRoot.textContent).toContain(
+                'c.PathAssistant_OffPath'
+            );
+            expect(
+                getStepLinks(element).map((link) => link.dataset.value)
+            ).not.toContain('On Hold');
+        });
+    });
+
+    describe('errors', () => {
+        const RECORD_ERROR = {
+            status: 500,
+            body: { message: 'Server unavailable' }
+        };
+
+        it('loads the data again when user retries', async () => {
+            const element = createPath({ useMetadataConfig: true });
+            getPathConfig.emit({ closedValues: 'Completed:ok,Cancelled:ko' });
+            getRecord.error(RECORD_ERROR.body, RECORD_ERROR.status);
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).toContain(
+                'Server unavailable'
+            );
+
+            element.shadowRoot
+                .querySelector('lightning-button[data-retry-button]')
+                .click();
+            await flushPromises();
+
+            expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([
+                { recordId: mockRecord.id }
+            ]);
+            expect(refreshApex).toHaveBeenCalledTimes(1);
+
+            await loadRecord();
+
+            expect(element.shadowRoot.textContent).not.toContain(
+                'Server unavailable'
+            );
+            expect(getStepLinks(element)).toHaveLength(4);
+        });
+    });
+
+    describe('without record', () => {
+        it('asks for the record outside of the builders', async () => {
+            const element = createPath({ recordId: undefined });
+            getObjectInfo.emit(mockObjectInfo);
+            await flushPromises();
+
+            expect(element.shadowRoot.textContent).toContain(
+                'c.PathAssistant_RecordMissing'
+            );
+            expect(getStepLinks(element)).toHaveLength(0);
+        });
+    });
+
+    describe('step styles', () => {
+        it('colors the configured steps and shows their icons', async () => {
+            const element = createPath({
+                stepStyles: JSON.stringify({
+                    'On Hold': { color: 'amber', icon: 'utility:pause' }
+                })
+            });
+            await loadRecord();
+
+            const onHold = element.shadowRoot.querySelector(
+                '.path-assistant__steps li.path-assistant__item_amber'
+            );
+            expect(onHold.querySelector('a').dataset.value).toBe('On Hold');
+            expect(
+                onHold.querySelector('.path-assistant__step-icon').iconName
+            ).toBe('utility:pause');
+        });
+
+        it('reports an invalid configuration', async () => {
+            const element = createPath({
+                stepStyles: JSON.stringify({ 'On Hold': { color: 'orange' } })
+            });
+            await loadRecord();
+
+            expect(element.shadowRoot.textContent).toContain(
+                'c.PathAssistant_InvalidStepStylesConfig'
+            );
+        });
+    });
+
+    describe('transition actions', () => {
+        const transitionActions = JSON.stringify([
+            { to: 'On Hold', confirm: 'Put the project on hold?' }
+        ]);
+
+        it('asks for a confirmation before moving the record', async () => {
+            const element = createPath({ transitionActions });
+            await loadRecord();
+            mockSave('On Hold');
+
+            await clickStep(element, 'On Hold');
+            await clickUpdateButton(element);
+
+            const modal = element.shadowRoot.querySelector('.slds-modal');
+            expect(modal.textContent).toContain('Put the project on hold?');
+            expect(updateRecord).not.toHaveBeenCalled();
+
+            modal.querySelector('.slds-button_brand').click();
+            await flushPromises();
+
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(updateRecord.mock.calls[0][0].fields.Status__c).toBe(
+                'On Hold'
+            );
+            expect(element.shadowRoot.querySelector('.slds-modal')).toBeNull();
+        });
+
+        it('moves the record without confirmation on other transitions', async () => {
+            const element = createPath({ transitionActions });
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickUpdateButton(element);
+
+            expect(element.shadowRoot.querySelector('.slds-modal')).toBeNull();
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+        });
+
+        it('reports an invalid configuration', async () => {
+            const element = createPath({
+                transitionActions: JSON.stringify([{ to: 'On Hold' }])
+            });
+            await loadRecord();
+
+            expect(element.shadowRoot.textContent).toContain(
+                'c.PathAssistant_InvalidTransitionActionsConfig'
+            );
+        });
+    });
+
+    describe('live refresh', () => {
+        // change event of the given records
+        function changeEvent(recordIds) {
+            return {
+                data: { payload: { ChangeEventHeader: { recordIds } } }
+            };
+        }
+
+        // subscribes to the change events, returns the event handler
+        async function subscribeToChanges(props) {
+            isEmpEnabled.mockResolvedValue(true);
+            createPath({ liveRefresh: true, ...props });
+            await loadRecord();
+
+            expect(subscribe.mock.calls[0][0]).toBe(
+                '/data/Project__ChangeEvent'
+            );
+            return subscribe.mock.calls[0][2];
+        }
+
+        it('reloads the record when it is changed', async () => {
+            const handleChange = await subscribeToChanges();
+
+            handleChange(changeEvent(['a01000000000002AAA']));
+            expect(notifyRecordUpdateAvailable).not.toHaveBeenCalled();
+
+            handleChange(changeEvent([mockRecord.id]));
+            expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([
+                { recordId: mockRecord.id }
+            ]);
+        });
+
+        it('matches 15 characters record ids', async () => {
+            const recordId = mockRecord.id.slice(0, 15);
+            const handleChange = await subscribeToChanges({ recordId });
+
+            handleChange(changeEvent([mockRecord.id]));
+
+            expect(notifyRecordUpdateAvailable).toHaveBeenCalledWith([
+                { recordId }
+            ]);
+        });
+    });
+
+    describe('celebration', () => {
+        let prefersReducedMotion;
+
+        beforeEach(() => {
+            prefersReducedMotion = false;
+            window.matchMedia = jest.fn(() => ({
+                matches: prefersReducedMotion
+            }));
+        });
+
+        afterEach(() => {
+            delete window.matchMedia;
+        });
+
+        // creates a path celebrating the In Progress step every time
+        function createCelebratingPath() {
+            return createPath({
+                celebrationFrequency: 'always',
+                celebratedSteps: 'In Progress',
+                subStatusField: 'Phase__c'
+            });
+        }
+
+        function getConfettiPieces(element) {
+            return element.shadowRoot.querySelectorAll(
+                '.path-assistant__confetti-piece'
+            );
+        }
+
+        it('celebrates when the record reaches a celebrated step', async () => {
+            const element = createCelebratingPath();
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickUpdateButton(element);
+
+            expect(getConfettiPieces(element).length).toBeGreaterThan(0);
+        });
+
+        it('does not celebrate when only the sub-status is saved', async () => {
+            const element = createCelebratingPath();
+            await loadRecord('In Progress');
+            mockSave('In Progress');
+
+            element.shadowRoot
+                .querySelector(
+                    '.path-assistant__sub-path .slds-path__link[data-value="Design"]'
+                )
+                .click();
+            await flushPromises();
+
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(updateRecord.mock.calls[0][0].fields).toMatchObject({
+                Status__c: 'In Progress',
+                Phase__c: 'Design'
+            });
+            expect(getConfettiPieces(element)).toHaveLength(0);
+        });
+
+        it('does not celebrate for users who prefer reduced motion', async () => {
+            prefersReducedMotion = true;
+            const element = createCelebratingPath();
+            await loadRecord();
+            mockSave('In Progress');
+
+            await clickUpdateButton(element);
+
+            expect(updateRecord).toHaveBeenCalledTimes(1);
+            expect(getConfettiPieces(element)).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,608 @@
+import {
+    CelebrationFrequency,
+    ClosedOutcome,
+    ClosedValue,
+    ErrorDetails,
+    formatDuration,
+    formatLabel,
+    getChangeEventChannel,
+    isCelebrationDue,
+    isPageBuilder,
+    isSameRecordId,
+    parseValueList,
+    Step,
+    StepDurations,
+    StepGuidance,
+    StepStyle,
+    TransitionAction,
+    TransitionRules,
+    TransitionState,
+    TransitionViolation
+} from '../utils';
+
+const NEW = new Step('New', 'New', 0);
+const IN_PROGRESS = new Step('In Progress', 'In Progress', 1);
+const ON_HOLD = new Step('On Hold', 'On Hold', 2);
+const COMPLETED = new Step('Completed', 'Completed', 3);
+const CANCELLED = new Step('Cancelled', 'Cancelled', 4);
+
+const CLOSED_STEPS = [COMPLETED, CANCELLED];
+const OPEN_STEPS = [NEW, IN_PROGRESS, ON_HOLD];
+
+/**
+ * Builds the state of a transition the way the component does
+ * @param {Step} fromStep Current step
+ * @param {Step} toStep Target step
+ * @param {Boolean} canRegress True if the user can move records backwards
+ */
+function buildState(fromStep, toStep, canRegress = false) {
+    const nextStep = OPEN_STEPS.find((step) => step.isAfter(fromStep));
+
+    return new TransitionState(
+        fromStep,
+        toStep,
+        nextStep,
+        CLOSED_STEPS.includes(fromStep),
+        CLOSED_STEPS.includes(toStep),
+        canRegress
+    );
+}
+
+describe('ClosedValue.parseList', () => {
+    it('returns an empty list when nothing is configured', () => {
+        expect(ClosedValue.parseList(undefined)).toEqual([]);
+        expect(ClosedValue.parseList('')).toEqual([]);
+    });
+
+    it('parses values and outcomes, ignoring blanks and case', () => {
+        const res = ClosedValue.parseList(
+            ' Completed:ok , Cancelled : KO,,Duplicate:ko'
+        );
+
+        expect(res.map((elem) => elem.value)).toEqual([
+            'Completed',
+            'Cancelled',
+            'Duplicate'
+        ]);
+        expect(res.map((elem) => elem.outcome)).toEqual([
+            ClosedOutcome.OK,
+            ClosedOutcome.KO,
+            ClosedOutcome.KO
+        ]);
+        expect(res[0].isOk()).toBe(true);
+        expect(res[1].isKo()).toBe(true);
+    });
+
+    it('keeps colons inside the value, the outcome is the last token', () => {
+        const res = ClosedValue.parseList('Closed: Won:ok');
+
+        expect(res[0].value).toBe('Closed: Won');
+        expect(res[0].isOk()).toBe(true);
+    });
+
+    it('flags values without a valid outcome', () => {
+        const res = ClosedValue.parseList('Completed,Cancelled:maybe');
+
+        expect(res[0].outcome).toBeUndefined();
+        expect(res[0].isValid()).toBe(false);
+        expect(res[1].isValid()).toBe(false);
+    });
+});
+
+describe('TransitionRules.check', () => {
+    it('allows any transition without rules', () => {
+        const rules = TransitionRules.parse(undefined, false, false);
+
+        expect(rules.check(buildState(NEW, ON_HOLD))).toBeUndefined();
+        expect(rules.check(buildState(ON_HOLD, NEW))).toBeUndefined();
+        expect(rules.check(buildState(COMPLETED, NEW))).toBeUndefined();
+        expect(rules.check(buildState(NEW, CANCELLED))).toBeUndefined();
+    });
+
+    it('always allows staying in the same step', () => {
+        const rules = TransitionRules.parse('{"New": []}', true, true);
+
+        expect(rules.check(buildState(NEW, NEW))).toBeUndefined();
+    });
+
+    describe('when skipping is prevented', () => {
+        const rules = TransitionRules.parse(undefined, true, false);
+
+        it('allows the next step only', () => {
+            expect(rules.check(buildState(NEW, IN_PROGRESS))).toBeUndefined();
+            expect(rules.check(buildState(NEW, ON_HOLD))).toBe(
+                TransitionViolation.SKIPPING
+            );
+        });
+
+        it('allows closed steps only from the last open step', () => {
+            expect(rules.check(buildState(IN_PROGRESS, COMPLETED))).toBe(
+                TransitionViolation.SKIPPING
+            );
+            expect(rules.check(buildState(ON_HOLD, COMPLETED))).toBeUndefined();
+            expect(rules.check(buildState(ON_HOLD, CANCELLED))).toBeUndefined();
+        });
+
+        it('does not prevent moving backwards', () => {
+            expect(rules.check(buildState(ON_HOLD, NEW))).toBeUndefined();
+        });
+
+        it('allows moving from a closed step to another one', () => {
+            expect(
+                rules.check(buildState(COMPLETED, CANCELLED))
+            ).toBeUndefined();
+        });
+    });
+
+    describe('when regressions are prevented', () => {
+        const rules = TransitionRules.parse(undefined, false, true);
+
+        it('forbids moving back to a previous step', () => {
+            expect(rules.check(buildState(ON_HOLD, NEW))).toBe(
+                TransitionViolation.REGRESSION
+            );
+            expect(rules.check(buildState(NEW, ON_HOLD))).toBeUndefined();
+        });
+
+        it('forbids reopening a closed record', () => {
+            expect(rules.check(buildState(COMPLETED, ON_HOLD))).toBe(
+                TransitionViolation.REGRESSION
+            );
+        });
+
+        it('allows moving from a closed step to another one', () => {
+            expect(
+                rules.check(buildState(COMPLETED, CANCELLED))
+            ).toBeUndefined();
+            expect(
+                rules.check(buildState(CANCELLED, COMPLETED))
+            ).toBeUndefined();
+        });
+
+        it('allows records without step to move to any step', () => {
+            expect(
+                rules.check(buildState(new Step(undefined), NEW))
+            ).toBeUndefined();
+        });
+
+        it('does not apply to users allowed to move backwards', () => {
+            expect(rules.check(buildState(ON_HOLD, NEW, true))).toBeUndefined();
+            expect(
+                rules.check(buildState(COMPLETED, NEW, true))
+            ).toBeUndefined();
+        });
+    });
+
+    describe('with a transition matrix', () => {
+        const rules = TransitionRules.parse(
+            '{"New": ["In Progress", "Cancelled"], "Completed": []}',
+            true,
+            true
+        );
+
+        it('allows only the listed steps from a listed step', () => {
+            expect(rules.check(buildState(NEW, IN_PROGRESS))).toBeUndefined();
+            expect(rules.check(buildState(NEW, CANCELLED))).toBeUndefined();
+            expect(rules.check(buildState(NEW, ON_HOLD))).toBe(
+                TransitionViolation.NOT_ALLOWED
+            );
+        });
+
+        it('ignores the other settings for listed steps', () => {
+            // Cancelled is reached skipping open steps
+            expect(rules.check(buildState(NEW, CANCELLED))).toBeUndefined();
+        });
+
+        it('applies to moves between closed steps and to the profiles allowed to move backwards', () => {
+            expect(rules.check(buildState(COMPLETED, CANCELLED))).toBe(
+                TransitionViolation.NOT_ALLOWED
+            );
+            expect(rules.check(buildState(COMPLETED, NEW, true))).toBe(
+                TransitionViolation.NOT_ALLOWED
+            );
+        });
+
+        it('applies the other settings to steps not listed', () => {
+            expect(rules.check(buildState(IN_PROGRESS, COMPLETED))).toBe(
+                TransitionViolation.SKIPPING
+            );
+            expect(rules.check(buildState(ON_HOLD, IN_PROGRESS))).toBe(
+                TransitionViolation.REGRESSION
+            );
+            expect(
+                rules.check(buildState(CANCELLED, COMPLETED))
+            ).toBeUndefined();
+        });
+    });
+
+    it('throws on an invalid transition matrix', () => {
+        expect(() => TransitionRules.parse('{New', false, false)).toThrow();
+    });
+});
+
+describe('StepGuidance.parseMap', () => {
+    it('returns an empty map when nothing is configured', () => {
+        expect(StepGuidance.parseMap(undefined)).toEqual({});
+    });
+
+    it('parses the guidance and key fields of each step', () => {
+        const res = StepGuidance.parseMap(
+            JSON.stringify({
+                New: { guidance: 'Qualify the lead', keyFields: ['Amount'] },
+                'On Hold': { guidance: 'Explain why' }
+            })
+        );
+
+        expect(Object.keys(res)).toEqual(['New', 'On Hold']);
+        expect(res.New.guidance).toBe('Qualify the lead');
+        expect(res.New.keyFields).toEqual(['Amount']);
+        expect(res['On Hold'].keyFields).toEqual([]);
+    });
+
+    it('throws on invalid JSON', () => {
+        expect(() => StepGuidance.parseMap('{New:')).toThrow();
+    });
+});
+
+describe('formatLabel', () => {
+    it('replaces the placeholders with the arguments', () => {
+        expect(formatLabel('Moved from {0} to {1}', 'New', 'Done')).toBe(
+            'Moved from New to Done'
+        );
+    });
+
+    it('allows translations to change the order of the placeholders', () => {
+        expect(formatLabel('{1} <- {0}', 'New', 'Done')).toBe('Done <- New');
+    });
+
+    it('keeps placeholders without an argument', () => {
+        expect(formatLabel('{0} and {1}', 'New')).toBe('New and {1}');
+    });
+});
+
+describe('StepDurations', () => {
+    const HOUR = 3600000;
+    const CREATED_DATE = '2024-03-01T10:00:00.000Z';
+    const created = new Date(CREATED_DATE).getTime();
+
+    // history entry of a change made some hours after the record creation
+    function change(hours, oldValue, newValue) {
+        return {
+            changedDate: new Date(created + hours * HOUR).toISOString(),
+            oldValue,
+            newValue
+        };
+    }
+
+    it('sums the time spent in each step, returning to a step included', () => {
+        const durations = new StepDurations(
+            [
+                change(2, 'New', 'In Progress'),
+                change(5, 'In Progress', 'On Hold'),
+                change(6, 'On Hold', 'In Progress')
+            ],
+            CREATED_DATE,
+            created + 10 * HOUR
+        );
+
+        expect(durations.getDuration(NEW)).toBe(2 * HOUR);
+        expect(durations.getDuration(IN_PROGRESS)).toBe(7 * HOUR);
+        expect(durations.getDuration(ON_HOLD)).toBe(HOUR);
+        expect(durations.getDuration(COMPLETED)).toBeUndefined();
+    });
+
+    it('tracks the step the record is in since the last change', () => {
+        const durations = new StepDurations(
+            [change(2, 'New', 'In Progress')],
+            CREATED_DATE,
+            created + 3 * HOUR
+        );
+
+        expect(durations.currentStepValue).toBe('In Progress');
+        expect(durations.currentStepSince).toBe(created + 2 * HOUR);
+    });
+
+    it('ignores the time spent without a step', () => {
+        const durations = new StepDurations(
+            [change(1, null, 'New')],
+            CREATED_DATE,
+            created + 3 * HOUR
+        );
+
+        expect(durations.getDuration(NEW)).toBe(2 * HOUR);
+        expect(durations.currentStepValue).toBe('New');
+    });
+
+    it('has no duration without history', () => {
+        const durations = new StepDurations([], CREATED_DATE, created + HOUR);
+
+        expect(durations.getDuration(NEW)).toBeUndefined();
+        expect(durations.currentStepValue).toBeUndefined();
+    });
+});
+
+describe('formatDuration', () => {
+    it('uses the biggest unit among days, hours and minutes', () => {
+        expect(formatDuration(3 * 86400000 + 7200000, 'en-US')).toBe('3 days');
+        expect(formatDuration(5 * 3600000 + 59 * 60000, 'en-US')).toBe(
+            '5 hours'
+        );
+        expect(formatDuration(90 * 1000, 'en-US')).toBe('1 minute');
+    });
+
+    it('displays at least one minute', () => {
+        expect(formatDuration(0, 'en-US')).toBe('1 minute');
+    });
+
+    it('formats the duration in the given locale', () => {
+        // French separates the value with a no-break space
+        expect(formatDuration(2 * 86400000, 'fr-FR')).toMatch(/^2\sjours$/);
+    });
+});
+
+describe('parseValueList', () => {
+    it('returns an empty list when nothing is configured', () => {
+        expect(parseValueList(undefined)).toEqual([]);
+        expect(parseValueList('')).toEqual([]);
+    });
+
+    it('splits the values, ignoring blanks around the commas', () => {
+        expect(parseValueList(' New ,Legacy,, In Progress ')).toEqual([
+            'New',
+            'Legacy',
+            'In Progress'
+        ]);
+    });
+});
+
+describe('ErrorDetails', () => {
+    it('collects the messages of a failed Apex call', () => {
+        const details = new ErrorDetails({
+            status: 400,
+            body: [
+                { message: 'First', errorCode: 'FIRST_ERROR' },
+                { message: 'Second' },
+                { message: 'First', errorCode: 'FIRST_ERROR' }
+            ]
+        });
+
+        expect(details.status).toBe(400);
+        expect(details.getMessage()).toBe('First Second');
+        expect(details.errorCodes).toEqual(['FIRST_ERROR']);
+    });
+
+    it('splits the page and field errors of a record update', () => {
+        const details = new ErrorDetails({
+            status: 400,
+            body: {
+                message: 'An error occurred while trying to update the record.',
+                output: {
+                    errors: [],
+                    fieldErrors: {
+                        Description__c: [
+                            {
+                                message: 'Describe the project',
+                                errorCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION'
+                            }
+                        ]
+                    }
+                }
+            }
+        });
+
+        expect(details.messages).toEqual([]);
+        expect(details.hasFieldErrors()).toBe(true);
+        expect(details.fieldErrors).toEqual({
+            Description__c: 'Describe the project'
+        });
+        expect(details.errorCodes).toEqual([
+            'FIELD_CUSTOM_VALIDATION_EXCEPTION'
+        ]);
+        expect(details.getMessage()).toBe('Describe the project');
+        expect(details.getMessage(['Description__c'])).toBe('');
+    });
+
+    it('falls back to the message of the body without output errors', () => {
+        const details = new ErrorDetails({
+            status: 404,
+            body: {
+                message: 'The requested resource does not exist',
+                errorCode: 'NOT_FOUND',
+                output: { errors: [], fieldErrors: {} }
+            }
+        });
+
+        expect(details.getMessage()).toBe(
+            'The requested resource does not exist'
+        );
+        expect(details.errorCodes).toEqual(['NOT_FOUND']);
+    });
+
+    it('merges a list of errors and client side errors', () => {
+        const details = new ErrorDetails([
+            { status: 500, body: { message: 'Server error' } },
+            new Error('Client error')
+        ]);
+
+        expect(details.status).toBe(500);
+        expect(details.getMessage()).toBe('Server error Client error');
+    });
+
+    it('has no message without error', () => {
+        expect(new ErrorDetails(undefined).getMessage()).toBe('');
+    });
+});
+
+describe('isPageBuilder', () => {
+    // location of a page
+    function at(url) {
+        const { hostname, pathname } = new URL(url);
+        return { hostname, pathname };
+    }
+
+    it('recognises the canvas of Lightning App Builder', () => {
+        expect(
+            isPageBuilder(
+                at(
+                    'https://acme.lightning.force.com/flexipageEditor/surface.app'
+                )
+            )
+        ).toBe(true);
+        expect(
+            isPageBuilder(
+                at(
+                    'https://acme.lightning.force.com/visualEditor/appBuilder.app'
+                )
+            )
+        ).toBe(true);
+    });
+
+    it('recognises Experience Builder and its previews', () => {
+        [
+            'https://acme.builder.salesforce-experience.com/',
+            'https://acme--uat.sandbox.preview.salesforce-experience.com/s/',
+            'https://acme.live-preview.salesforce-experience.com/s/',
+            'https://acme.livepreview.salesforce-communities.com/s/',
+            'https://acme.sitepreview.force.com/s/'
+        ].forEach((url) => {
+            expect(isPageBuilder(at(url))).toBe(true);
+        });
+    });
+
+    it('ignores record pages and sites', () => {
+        [
+            'https://acme.lightning.force.com/lightning/r/Account/001000000000001AAA/view',
+            'https://acme.lightning.force.com/flexipageEditor/other.app',
+            'https://acme.my.site.com/s/',
+            'https://builder.example.com/',
+            'https://acme.builder.salesforce-experience.com.example.com/'
+        ].forEach((url) => {
+            expect(isPageBuilder(at(url))).toBe(false);
+        });
+    });
+
+    it('checks the current page by default', () => {
+        // jsdom runs on localhost
+        expect(isPageBuilder()).toBe(false);
+    });
+});
+
+describe('StepStyle.parseMap', () => {
+    it('returns an empty map when nothing is configured', () => {
+        expect(StepStyle.parseMap(undefined)).toEqual({});
+    });
+
+    it('parses the color and icon of each step', () => {
+        const res = StepStyle.parseMap(
+            JSON.stringify({
+                'On Hold': { color: 'amber', icon: 'utility:pause' },
+                Cancelled: { color: 'red' }
+            })
+        );
+
+        expect(res['On Hold']).toEqual(new StepStyle('amber', 'utility:pause'));
+        expect(res.Cancelled).toEqual(new StepStyle('red', undefined));
+    });
+
+    it('throws a labelled message on an unknown color', () => {
+        expect(() =>
+            StepStyle.parseMap(
+                JSON.stringify({ 'On Hold': { color: 'orange' } })
+            )
+        ).toThrow('c.PathAssistant_InvalidStepColor');
+    });
+
+    it('throws a labelled message on an invalid icon', () => {
+        expect(() =>
+            StepStyle.parseMap(JSON.stringify({ 'On Hold': { icon: 'pause' } }))
+        ).toThrow('c.PathAssistant_InvalidStepIcon');
+    });
+});
+
+describe('TransitionAction.parseList', () => {
+    it('returns an empty list when nothing is configured', () => {
+        expect(TransitionAction.parseList('')).toEqual([]);
+    });
+
+    it('accepts a step value or a list of values', () => {
+        const [flowAction, confirmAction] = TransitionAction.parseList(
+            JSON.stringify([
+                { to: 'Completed', flow: 'Close_Project' },
+                { from: ['Completed', 'Cancelled'], confirm: 'Reopen?' }
+            ])
+        );
+
+        expect(flowAction.isFlow).toBe(true);
+        expect(flowAction.fromValues).toEqual([]);
+        expect(flowAction.toValues).toEqual(['Completed']);
+        expect(confirmAction.isFlow).toBe(false);
+        expect(confirmAction.fromValues).toEqual(['Completed', 'Cancelled']);
+        expect(confirmAction.confirmMessage).toBe('Reopen?');
+    });
+
+    it('matches the transitions between the configured steps', () => {
+        const [action] = TransitionAction.parseList(
+            JSON.stringify([{ from: 'Completed', confirm: 'Reopen?' }])
+        );
+
+        expect(action.matches('Completed', 'In Progress')).toBe(true);
+        expect(action.matches('Completed', 'Completed')).toBe(false);
+        expect(action.matches('New', 'In Progress')).toBe(false);
+    });
+
+    it('throws a labelled message on an action without flow and confirm', () => {
+        expect(() =>
+            TransitionAction.parseList(JSON.stringify([{ to: 'Completed' }]))
+        ).toThrow('c.PathAssistant_TransitionActionIncomplete');
+    });
+});
+
+describe('getChangeEventChannel', () => {
+    it('returns the channel of standard and custom objects', () => {
+        expect(getChangeEventChannel('Account')).toBe(
+            '/data/AccountChangeEvent'
+        );
+        expect(getChangeEventChannel('Project__c')).toBe(
+            '/data/Project__ChangeEvent'
+        );
+    });
+});
+
+describe('isSameRecordId', () => {
+    const ID_18 = 'a01000000000001AAA';
+    const ID_15 = 'a01000000000001';
+
+    it('matches 15 and 18 characters ids of the same record', () => {
+        expect(isSameRecordId(ID_18, ID_18)).toBe(true);
+        expect(isSameRecordId(ID_15, ID_18)).toBe(true);
+        expect(isSameRecordId(ID_18, ID_15)).toBe(true);
+    });
+
+    it('is case-sensitive, like 15 characters ids', () => {
+        expect(isSameRecordId('a01000000000001aAA', 'A01000000000001AAA')).toBe(
+            false
+        );
+    });
+
+    it('rejects other and missing ids', () => {
+        expect(isSameRecordId(ID_18, 'a01000000000002AAA')).toBe(false);
+        expect(isSameRecordId(ID_18, undefined)).toBe(false);
+        expect(isSameRecordId(undefined, undefined)).toBe(false);
+    });
+});
+
+describe('isCelebrationDue', () => {
+    it('celebrates according to the frequency', () => {
+        expect(isCelebrationDue(CelebrationFrequency.ALWAYS, 0.99)).toBe(true);
+        expect(isCelebrationDue(CelebrationFrequency.OFTEN, 0.49)).toBe(true);
+        expect(isCelebrationDue(CelebrationFrequency.OFTEN, 0.5)).toBe(false);
+        expect(isCelebrationDue(CelebrationFrequency.RARELY, 0.19)).toBe(true);
+        expect(isCelebrationDue(CelebrationFrequency.RARELY, 0.2)).toBe(false);
+        expect(isCelebrationDue(CelebrationFrequency.NEVER, 0)).toBe(false);
+    });
+
+    it('never celebrates with an unknown frequency', () => {
+        expect(isCelebrationDue('sometimes', 0)).toBe(false);
+        expect(isCelebrationDue(undefined, 0)).toBe(false);
+    });
+});
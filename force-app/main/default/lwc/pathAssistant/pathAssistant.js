@@ -26,29 +26,188 @@ SOFTWARE.
  * Custom path assistant.
  * Standard path component doesn't support closed stages.
  * This component wants to mimic the Opportunity Sales Path where you can have
- * up to two closed statuses.
+ * closed statuses, each one with either a positive (OK) or negative (KO) outcome.
  *
- * Used only on RecordPages, this component is fully aware of it's context.
+ * On RecordPages this component is fully aware of it's context.
+ * In Screen Flows it works as a step chooser: the record is never updated, the
+ * selected step is returned as an output property.
  */
 import { LightningElement, api, wire } from 'lwc';
 import {
     getObjectInfo,
     getPicklistValuesByRecordType
 } from 'lightning/uiObjectInfoApi';
-import { updateRecord, getRecord } from 'lightning/uiRecordApi';
 import {
+    updateRecord,
+    getRecord,
+    getFieldValue,
+    notifyRecordUpdateAvailable
+} from 'lightning/uiRecordApi';
+import {
+    subscribe,
+    unsubscribe,
+    MessageContext
+} from 'lightning/messageService';
+import {
+    subscribe as subscribeToChannel,
+    unsubscribe as unsubscribeFromChannel,
+    isEmpEnabled
+} from 'lightning/empApi';
+import PATH_ASSISTANT_CHANNEL from '@salesforce/messageChannel/PathAssistant__c';
+import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
+import { refreshApex } from '@salesforce/apex';
+import getFieldHistory from '@salesforce/apex/PathAssistantController.getFieldHistory';
+import getPathConfig from '@salesforce/apex/PathAssistantController.getPathConfig';
+import getRecordAccess from '@salesforce/apex/PathAssistantController.getRecordAccess';
+import logTransition from '@salesforce/apex/PathAssistantController.logTransition';
+import getTransitionHistory from '@salesforce/apex/PathAssistantController.getTransitionHistory';
+import USER_ID from '@salesforce/user/Id';
+import IS_GUEST from '@salesforce/user/isGuest';
+import HAS_CUSTOMIZE_APPLICATION from '@salesforce/userPermission/CustomizeApplication';
+import TEXT_DIRECTION from '@salesforce/i18n/dir';
+import LOCALE from '@salesforce/i18n/locale';
+import FORM_FACTOR from '@salesforce/client/formFactor';
+import selectClosedLabel from '@salesforce/label/c.PathAssistant_SelectClosed';
+import markAsCompleteLabel from '@salesforce/label/c.PathAssistant_MarkAsComplete';
+import markAsCurrentLabel from '@salesforce/label/c.PathAssistant_MarkAsCurrent';
+import changeClosedLabel from '@salesforce/label/c.PathAssistant_ChangeClosed';
+import genericErrorMessageLabel from '@salesforce/label/c.PathAssistant_GenericErrorMessage';
+import keyFieldsLabel from '@salesforce/label/c.PathAssistant_KeyFields';
+import guidanceLabel from '@salesforce/label/c.PathAssistant_Guidance';
+import toggleGuidanceLabel from '@salesforce/label/c.PathAssistant_ToggleGuidance';
+import notAllowedLabel from '@salesforce/label/c.PathAssistant_TransitionNotAllowed';
+import skippingLabel from '@salesforce/label/c.PathAssistant_TransitionSkipping';
+import regressionLabel from '@salesforce/label/c.PathAssistant_TransitionRegression';
+import picklistValuesNotLoadedLabel from '@salesforce/label/c.PathAssistant_PicklistValuesNotLoaded';
+import noClosedValuesLabel from '@salesforce/label/c.PathAssistant_NoClosedValues';
+import invalidClosedOutcomeLabel from '@salesforce/label/c.PathAssistant_InvalidClosedOutcome';
+import valueNotAvailableLabel from '@salesforce/label/c.PathAssistant_ValueNotAvailable';
+import notEnoughValuesLabel from '@salesforce/label/c.PathAssistant_NotEnoughValues';
+import invalidGuidanceConfigLabel from '@salesforce/label/c.PathAssistant_InvalidGuidanceConfig';
+import invalidClosedStepFieldsConfigLabel from '@salesforce/label/c.PathAssistant_InvalidClosedStepFieldsConfig';
+import invalidTransitionRulesConfigLabel from '@salesforce/label/c.PathAssistant_InvalidTransitionRulesConfig';
+import invalidStepStylesConfigLabel from '@salesforce/label/c.PathAssistant_InvalidStepStylesConfig';
+import invalidTransitionActionsConfigLabel from '@salesforce/label/c.PathAssistant_InvalidTransitionActionsConfig';
+import errorLabel from '@salesforce/label/c.PathAssistant_Error';
+import closeLabel from '@salesforce/label/c.PathAssistant_Close';
+import cancelLabel from '@salesforce/label/c.PathAssistant_Cancel';
+import saveLabel from '@salesforce/label/c.PathAssistant_Save';
+import noneLabel from '@salesforce/label/c.PathAssistant_None';
+import requiredLabel from '@salesforce/label/c.PathAssistant_Required';
+import updateFailedLabel from '@salesforce/label/c.PathAssistant_UpdateFailed';
+import recordChangedLabel from '@salesforce/label/c.PathAssistant_RecordChanged';
+import dismissLabel from '@salesforce/label/c.PathAssistant_Dismiss';
+import stepChangedLabel from '@salesforce/label/c.PathAssistant_StepChanged';
+import undoLabel from '@salesforce/label/c.PathAssistant_Undo';
+import undoNotPossibleLabel from '@salesforce/label/c.PathAssistant_UndoNotPossible';
+import undoNotAllowedLabel from '@salesforce/label/c.PathAssistant_UndoNotAllowed';
+import successLabel from '@salesforce/label/c.PathAssistant_Success';
+import timeInStepLabel from '@salesforce/label/c.PathAssistant_TimeInStep';
+import timeInCurrentStepLabel from '@salesforce/label/c.PathAssistant_TimeInCurrentStep';
+import staleStepLabel from '@salesforce/label/c.PathAssistant_StaleStep';
+import closedStepRequiredLabel from '@salesforce/label/c.PathAssistant_ClosedStepRequired';
+import currentStepLabel from '@salesforce/label/c.PathAssistant_CurrentStep';
+import nextStepLabel from '@salesforce/label/c.PathAssistant_NextStep';
+import offPathLabel from '@salesforce/label/c.PathAssistant_OffPath';
+import subStatusRequiredLabel from '@salesforce/label/c.PathAssistant_SubStatusRequired';
+import retryLabel from '@salesforce/label/c.PathAssistant_Retry';
+import showDetailsLabel from '@salesforce/label/c.PathAssistant_ShowDetails';
+import hideDetailsLabel from '@salesforce/label/c.PathAssistant_HideDetails';
+import picklistFieldRequiredLabel from '@salesforce/label/c.PathAssistant_PicklistFieldRequired';
+import fieldNotFoundLabel from '@salesforce/label/c.PathAssistant_FieldNotFound';
+import notPicklistLabel from '@salesforce/label/c.PathAssistant_NotPicklist';
+import availableValuesLabel from '@salesforce/label/c.PathAssistant_AvailableValues';
+import designProblemsLabel from '@salesforce/label/c.PathAssistant_DesignProblems';
+import designNoProblemsLabel from '@salesforce/label/c.PathAssistant_DesignNoProblems';
+import designCheckingLabel from '@salesforce/label/c.PathAssistant_DesignChecking';
+import readOnlyFieldLabel from '@salesforce/label/c.PathAssistant_ReadOnlyField';
+import readOnlyRecordLabel from '@salesforce/label/c.PathAssistant_ReadOnlyRecord';
+import recordLockedLabel from '@salesforce/label/c.PathAssistant_RecordLocked';
+import transitionHeaderLabel from '@salesforce/label/c.PathAssistant_TransitionHeader';
+import confirmLabel from '@salesforce/label/c.PathAssistant_Confirm';
+import transitionFlowFailedLabel from '@salesforce/label/c.PathAssistant_TransitionFlowFailed';
+import selectionClearedLabel from '@salesforce/label/c.PathAssistant_SelectionCleared';
+import commentLabel from '@salesforce/label/c.PathAssistant_Comment';
+import transitionHistoryLabel from '@salesforce/label/c.PathAssistant_TransitionHistory';
+import transitionHistoryEntryLabel from '@salesforce/label/c.PathAssistant_TransitionHistoryEntry';
+import noTransitionsLabel from '@salesforce/label/c.PathAssistant_NoTransitions';
+import auditFailedLabel from '@salesforce/label/c.PathAssistant_AuditFailed';
+import recordMissingLabel from '@salesforce/label/c.PathAssistant_RecordMissing';
+import {
+    AuditTrail,
     ScenarioState,
+    ScenarioType,
     ScenarioLayout,
     MarkAsCompleteScenario,
     MarkAsCurrentScenario,
     SelectClosedScenario,
     ChangeClosedScenario,
+    CelebrationFrequency,
+    ClosedOutcome,
+    ClosedValue,
+    ErrorDetails,
+    FieldDescriptor,
+    PathLayout,
+    formatDuration,
+    formatLabel,
+    getChangeEventChannel,
+    isCelebrationDue,
+    isPageBuilder,
+    isSameRecordId,
+    parseValueList,
+    StepDurations,
+    StepGuidance,
+    StepStyle,
+    TransitionAction,
+    TransitionRules,
+    TransitionState,
     Step
 } from './utils';
 
 // value to assign to the last step when user has to select a proper closed step
 const OPEN_MODAL_TO_SELECT_CLOSED_STEP = 'pathAssistant_selectAClosedStepValue';
 
+// field used to check if the user can move records backwards
+const USER_PROFILE_NAME_FIELD = 'User.Profile.Name';
+
+// HTTP status returned by updateRecord when the record was modified by someone else
+const PRECONDITION_FAILED_STATUS = 412;
+
+// milliseconds in a day, used to check if a step is stale
+const DAY_MS = 86400000;
+
+// milliseconds the undo toast stays visible
+const UNDO_TOAST_DURATION = 10000;
+
+// form factor of phones
+const SMALL_FORM_FACTOR = 'Small';
+
+// width of the narrow page regions, e.g. sidebars
+const SMALL_REGION_WIDTH = 'SMALL';
+
+// statuses of lightning-flow once the flow finished successfully
+const FLOW_FINISHED_STATUSES = ['FINISHED', 'FINISHED_SCREEN'];
+
+// status of lightning-flow when the flow failed
+const FLOW_ERROR_STATUS = 'ERROR';
+
+// milliseconds the celebration lasts
+const CELEBRATION_DURATION = 3000;
+
+// number of confetti pieces falling during the celebration
+const CONFETTI_COUNT = 40;
+
+// colors of the confetti pieces
+const CONFETTI_COLORS = ['#0176d3', '#2e844a', '#fe9339', '#ba0517', '#9050e9'];
+
+// actions that can be requested through the PathAssistant message channel
+const CHANNEL_ACTIONS = {
+    REFRESH: 'refresh',
+    SELECT_STEP: 'selectStep',
+    MARK_COMPLETE: 'markComplete',
+    SAVE: 'save'
+};
+
 export default class PathAssistant extends LightningElement {
     // current object api name
     @api objectApiName;
@@ -65,14 +224,114 @@ export default class PathAssistant extends LightningElement {
     // closed KO step value. When selected will render a red progress bar
     @api closedKo;
 
+    // comma separated list of closed step values, each one followed by its outcome
+    // e.g. "Completed:ok,Cancelled:ko,Rejected:ko"
+    @api closedValues;
+
     // label to give the last step
     @api lastStepLabel;
 
     // show/hide the update button
     @api hideUpdateButton;
 
-    // show/hide a loading spinner
-    spinner = false;
+    // when true the path only displays the progress, steps can't be selected
+    @api readOnly;
+
+    // JSON configuration of guidance text and key fields for each step
+    // e.g. {"Prospecting": {"guidance": "Qualify the lead", "keyFields": ["Amount", "CloseDate"]}}
+    @api stepGuidance;
+
+    // API name of a picklist field depending on picklistField, rendered as a
+    // second path with the values valid for the step
+    @api subStatusField;
+
+    // when true moving the record to a step that has sub-statuses requires choosing one
+    @api requireSubStatus;
+
+    // JSON configuration of the color and icon of each step
+    // e.g. {"On Hold": {"color": "amber", "icon": "utility:pause"}}
+    @api stepStyles;
+
+    // JSON configuration of the fields to fill when selecting a closed step
+    // e.g. {"Closed Won": ["CloseDate", "Amount"], "Closed Lost": ["Loss_Reason__c"]}
+    @api closedStepFields;
+
+    // JSON matrix of the steps that can be reached from each step
+    // e.g. {"New": ["In Progress", "On Hold"], "On Hold": ["In Progress"]}
+    @api transitionRules;
+
+    // when true users can't move the record more than one step ahead
+    @api preventSkipping;
+
+    // when true users can't move the record back to a previous step
+    @api preventRegressions;
+
+    // comma separated list of profile names allowed to move records backwards
+    @api regressionProfiles;
+
+    // JSON list of the Screen Flows or confirmations required by some transitions
+    // e.g. [{"to": "Contract Sent", "flow": "Generate_Contract"}, {"from": "Closed", "confirm": "Reopen?"}]
+    @api transitionActions;
+
+    // when true displays the time spent in each step, requires field history tracking
+    @api showTimeInStage;
+
+    // days after which the time spent in a step is highlighted
+    @api staleThresholdDays;
+
+    // comma separated list of picklist values not displayed as steps
+    @api hiddenSteps;
+
+    // when true the configuration is loaded from Path_Assistant_Config__mdt,
+    // properties set in the App Builder are used when no configuration matches
+    @api useMetadataConfig;
+
+    // how the path is rendered, one of PathLayout values
+    @api layout = PathLayout.AUTO;
+
+    // width of the page region the component is in, set by Lightning pages
+    @api flexipageRegionWidth;
+
+    // how often reaching a closed OK step, or a celebrated step, shows confetti.
+    // One of CelebrationFrequency values
+    @api celebrationFrequency = CelebrationFrequency.NEVER;
+
+    // comma separated list of step values celebrated like closed OK steps
+    @api celebratedSteps;
+
+    // where step changes are recorded, one of AuditTrail values
+    @api auditTrail = AuditTrail.NONE;
+
+    // when true users can enter a comment, recorded in the audit trail, when changing step
+    @api showComment;
+
+    // when true the record is reloaded as soon as it changes elsewhere,
+    // requires Change Data Capture to be enabled for the object
+    @api liveRefresh;
+
+    // actions available in the Screen Flow, set only when used in a flow
+    @api availableActions;
+
+    // flow input: record type used to load the steps when no record is given
+    @api recordTypeId;
+
+    // flow input: current step when no record is given
+    @api stepValue;
+
+    // flow input: when set only these values are displayed as steps
+    @api stepValues;
+
+    // flow input: when true users have to select a closed step before moving on
+    @api requireClosedStep;
+
+    // flow output: step selected by the user
+    @api selectedStep;
+
+    // flow output: true if the selected step is a closed one
+    @api isSelectedStepClosed;
+
+    // true while the record is being updated
+    isSaving = false;
 
     // show/hide the modal to select a closed step
     openModal = false;
@@ -83,18 +342,104 @@ export default class PathAssistant extends LightningElement {
     // current record
     record;
 
-    // error message, when set will render the error panel
+    // configuration error message, when set will render the error panel
     errorMsg;
 
-    // available picklist values for current record (based on record type)
+    // problem found in the picklist values of current record type, cleared
+    // once they are loaded again. When set will render the error panel
+    _stepsErrorMsg;
+
+    // message displayed under the path when the last update failed
+    updateErrorMsg;
+
+    // ErrorDetails of the last failed update, displayed to admins
+    updateErrorDetails;
+
+    // message displayed inside the modal when saving the closed step failed
+    modalErrorMsg;
+
+    // confetti pieces falling during the celebration, empty when not celebrating
+    confettiPieces = [];
+
+    // warning displayed when the selected step was cleared because the record
+    // was moved to another step elsewhere
+    selectionClearedMsg;
+
+    // true while the data that failed to load is requested again
+    isRetrying = false;
+
+    // true when admins expanded the error details
+    showDiagnostics = false;
+
+    // wire adapter name => ErrorDetails. Cleared as soon as the adapter returns data
+    _wireErrors = {};
+
+    // field API name => error message of the last failed update
+    _fieldErrors = {};
+
+    // path configuration wire result, used to load it again
+    _wiredPathConfig;
+
+    // invalid properties found in App Builder
+    _configProblems = [];
+
+    // record type being checked in App Builder, see wiredDesignPicklistValues
+    _designRecordTypeId;
+
+    // record type id => picklist values or ErrorDetails, loaded in App Builder
+    _designPicklistValues = {};
+
+    // last change that can be undone, when set will render the undo toast.
+    // Contains the message to display, the previous step and field values,
+    // the last modified date of the record after the change and canUndo, false
+    // when the transition rules don't allow to move back to the previous step
+    undoAction;
+
+    // timer that hides the undo toast
+    _undoTimeout;
+
+    // timeout ending the celebration
+    _celebrationTimeout;
+
+    // available picklist values for current record (based on record type and controlling field)
     possibleSteps;
 
+    // values of all picklist fields for current record type, used to render key fields
+    picklistFieldValues;
+
+    // show/hide the guidance panel
+    isGuidanceExpanded = false;
+
+    // show/hide the popover with the last step changes
+    isHistoryExpanded = false;
+
+    // comment entered by the user, recorded in the audit trail with the next step change
+    comment = '';
+
     // step selected by the user
     selectedStepValue;
 
+    // step displayed as current while the record is being updated
+    _optimisticStepValue;
+
+    // step reachable with the Tab key, moved with arrow keys
+    _focusedStepValue;
+
+    // sub-status reachable with the Tab key, moved with arrow keys
+    _focusedSubStepValue;
+
+    // when true the modal gets the focus once rendered
+    _focusModalOnRender = false;
+
+    // when true the update button gets back the focus once rendered
+    _focusUpdateButtonOnRender = false;
+
     // current record's record type id
     _recordTypeId;
 
+    // all picklist values available for current record type
+    _recordTypeSteps;
+
     // action that can be performed by the user
     _currentScenario;
 
@@ -104,18 +449,169 @@ export default class PathAssistant extends LightningElement {
     // array of possible user interaction scenarios
     _scenarios = [];
 
-    // all hardcoded string, these can be replaced with custom label for translation
+    // step value => StepGuidance instance
+    _guidanceByStep = {};
+
+    // step value => StepStyle instance
+    _stylesByStep = {};
+
+    // sub-status chosen for the selected step, saved together with it
+    _pendingSubStatusValue;
+
+    // sub-status chosen in the modal for the selected closed step
+    _modalSubStatusValue;
+
+    // step value => key fields values changed by the user. Only the changes of
+    // the step whose key fields are displayed are saved together with the step
+    _keyFieldChanges = {};
+
+    // closed step value => API names of the fields to fill in the modal
+    _fieldsByClosedStep = {};
+
+    // modal fields values changed by the user, saved together with the closed step
+    _closedStepFieldChanges = {};
+
+    // closed values parsed from the configuration, closedOk and closedKo included.
+    // Parsed again only when the configuration is loaded from custom metadata
+    _closedValueList = [];
+
+    // TransitionRules instance, restricts the steps the record can move to
+    _transitionRules = new TransitionRules();
+
+    // TransitionAction instances, checked in order before updating the record
+    _transitionActions = [];
+
+    // update waiting for a flow or a confirmation in the modal, with action,
+    // stepValue, fieldValues, options and flowInputVariables properties
+    _pendingTransition;
+
+    // configuration loaded from custom metadata, null when none matches
+    _metadataConfig;
+
+    // true once the custom metadata configuration was loaded, or isn't used
+    _isConfigLoaded = false;
+
+    // profile name of current user
+    _userProfileName;
+
+    // PathAssistant message channel subscription
+    _subscription;
+
+    // Change Data Capture channel subscription, see liveRefresh
+    _changeEventSubscription;
+
+    // picklist field changes, null when field history tracking is disabled
+    _fieldHistory;
+
+    // result of the field history wire, used to refresh it
+    _wiredFieldHistory;
+
+    // edit access and approval lock of the record, undefined until loaded
+    _recordAccess;
+
+    // result of the record access wire, used to refresh it
+    _wiredRecordAccess;
+
+    // last step changes recorded in the audit trail, newest first
+    _transitionHistory;
+
+    // result of the transition history wire, used to refresh it
+    _wiredTransitionHistory;
+
+    // all UI strings, loaded from custom labels
     labels = {
-        selectClosed: 'Select Closed {0}',
-        markAsComplete: 'Mark {0} as Complete',
-        markAsCurrent: 'Mark as Current {0}',
-        changeClosed: 'Change Closed {0}',
-        genericErrorMessage:
-            'An unexpected error occurred. Please contact your System Administrator.'
+        selectClosed: selectClosedLabel,
+        markAsComplete: markAsCompleteLabel,
+        markAsCurrent: markAsCurrentLabel,
+        changeClosed: changeClosedLabel,
+        genericErrorMessage: genericErrorMessageLabel,
+        keyFields: keyFieldsLabel,
+        guidance: guidanceLabel,
+        toggleGuidance: toggleGuidanceLabel,
+        notAllowed: notAllowedLabel,
+        skipping: skippingLabel,
+        regression: regressionLabel,
+        picklistValuesNotLoaded: picklistValuesNotLoadedLabel,
+        noClosedValues: noClosedValuesLabel,
+        invalidClosedOutcome: invalidClosedOutcomeLabel,
+        valueNotAvailable: valueNotAvailableLabel,
+        notEnoughValues: notEnoughValuesLabel,
+        invalidGuidanceConfig: invalidGuidanceConfigLabel,
+        invalidClosedStepFieldsConfig: invalidClosedStepFieldsConfigLabel,
+        invalidTransitionRulesConfig: invalidTransitionRulesConfigLabel,
+        invalidStepStylesConfig: invalidStepStylesConfigLabel,
+        invalidTransitionActionsConfig: invalidTransitionActionsConfigLabel,
+        error: errorLabel,
+        close: closeLabel,
+        cancel: cancelLabel,
+        save: saveLabel,
+        none: noneLabel,
+        required: requiredLabel,
+        updateFailed: updateFailedLabel,
+        recordChanged: recordChangedLabel,
+        dismiss: dismissLabel,
+        stepChanged: stepChangedLabel,
+        undo: undoLabel,
+        undoNotPossible: undoNotPossibleLabel,
+        undoNotAllowed: undoNotAllowedLabel,
+        success: successLabel,
+        timeInStep: timeInStepLabel,
+        timeInCurrentStep: timeInCurrentStepLabel,
+        staleStep: staleStepLabel,
+        currentStep: currentStepLabel,
+        nextStep: nextStepLabel,
+        offPath: offPathLabel,
+        subStatusRequired: subStatusRequiredLabel,
+        retry: retryLabel,
+        showDetails: showDetailsLabel,
+        hideDetails: hideDetailsLabel,
+        picklistFieldRequired: picklistFieldRequiredLabel,
+        fieldNotFound: fieldNotFoundLabel,
+        notPicklist: notPicklistLabel,
+        availableValues: availableValuesLabel,
+        designProblems: designProblemsLabel,
+        designNoProblems: designNoProblemsLabel,
+        designChecking: designCheckingLabel,
+        readOnlyField: readOnlyFieldLabel,
+        readOnlyRecord: readOnlyRecordLabel,
+        recordLocked: recordLockedLabel,
+        transitionHeader: transitionHeaderLabel,
+        confirm: confirmLabel,
+        transitionFlowFailed: transitionFlowFailedLabel,
+        selectionCleared: selectionClearedLabel,
+        comment: commentLabel,
+        transitionHistory: transitionHistoryLabel,
+        transitionHistoryEntry: transitionHistoryEntryLabel,
+        noTransitions: noTransitionsLabel,
+        auditFailed: auditFailedLabel,
+        closedStepRequired: closedStepRequiredLabel,
+        recordMissing: recordMissingLabel
     };
 
-    // this is the token that gets replaced with field label
-    _token = '{0}';
+    // context used to subscribe to the PathAssistant message channel
+    @wire(MessageContext)
+    messageContext;
+
+    /**
+     * Flow validation, called by the flow before moving to the next screen
+     * @returns {Object} Validation result, with isValid and errorMessage properties
+     */
+    @api
+    validate() {
+        if (this.requireClosedStep && !this.isSelectedStepClosed) {
+            return {
+                isValid: false,
+                errorMessage: formatLabel(
+                    this.labels.closedStepRequired,
+                    this.isLoaded
+                        ? this.picklistFieldLabel
+                        : this.activePicklistField
+                )
+            };
+        }
+
+        return { isValid: true };
+    }
 
     /**
      * Creates possible user interaction scenarios
@@ -123,21 +619,18 @@ export default class PathAssistant extends LightningElement {
     constructor() {
         super();
 
-        // note: all the hard coded strings passed to ScenarioLayout can be replaced with Custom Labels
-
         this._scenarios.push(
             new MarkAsCompleteScenario(
                 new ScenarioLayout(
                     this.labels.selectClosed,
-                    this.labels.markAsComplete,
-                    this._token
+                    this.labels.markAsComplete
                 )
             )
         );
 
         this._scenarios.push(
             new MarkAsCurrentScenario(
-                new ScenarioLayout('', this.labels.markAsCurrent, this._token)
+                new ScenarioLayout('', this.labels.markAsCurrent)
             )
         );
 
@@ -145,8 +638,7 @@ export default class PathAssistant extends LightningElement {
             new SelectClosedScenario(
                 new ScenarioLayout(
                     this.labels.selectClosed,
-                    this.labels.selectClosed,
-                    this._token
+                    this.labels.selectClosed
                 )
             )
         );
@@ -155,42 +647,251 @@ export default class PathAssistant extends LightningElement {
             new ChangeClosedScenario(
                 new ScenarioLayout(
                     this.labels.selectClosed,
-                    this.labels.changeClosed,
-                    this._token
+                    this.labels.changeClosed
                 )
             )
         );
     }
 
+    connectedCallback() {
+        this._isConfigLoaded = !this.useMetadataConfig;
+
+        this._subscription = subscribe(
+            this.messageContext,
+            PATH_ASSISTANT_CHANNEL,
+            (message) => this._handleMessage(message)
+        );
+
+        this._subscribeToChangeEvents();
+
+        this._closedValueList = this._parseClosedValues();
+
+        try {
+            this._guidanceByStep = StepGuidance.parseMap(this.stepGuidance);
+        } catch (e) {
+            this._reportConfigError(
+                formatLabel(this.labels.invalidGuidanceConfig, e.message)
+            );
+        }
+
+        try {
+            this._stylesByStep = StepStyle.parseMap(this.stepStyles);
+        } catch (e) {
+            this._reportConfigError(
+                formatLabel(this.labels.invalidStepStylesConfig, e.message)
+            );
+        }
+
+        try {
+            this._fieldsByClosedStep = this.closedStepFields
+                ? JSON.parse(this.closedStepFields)
+                : {};
+        } catch (e) {
+            this._reportConfigError(
+                formatLabel(
+                    this.labels.invalidClosedStepFieldsConfig,
+                    e.message
+                )
+            );
+        }
+
+        try {
+            this._transitionRules = TransitionRules.parse(
+                this.transitionRules,
+                this.preventSkipping,
+                this.preventRegressions
+            );
+        } catch (e) {
+            this._reportConfigError(
+                formatLabel(this.labels.invalidTransitionRulesConfig, e.message)
+            );
+        }
+
+        try {
+            this._transitionActions = TransitionAction.parseList(
+                this.transitionActions
+            );
+        } catch (e) {
+            this._reportConfigError(
+                formatLabel(
+                    this.labels.invalidTransitionActionsConfig,
+                    e.message
+                )
+            );
+        }
+    }
+
+    disconnectedCallback() {
+        unsubscribe(this._subscription);
+        this._subscription = undefined;
+        this._hideUndoToast();
+        clearTimeout(this._celebrationTimeout);
+
+        if (this._changeEventSubscription) {
+            unsubscribeFromChannel(this._changeEventSubscription);
+            this._changeEventSubscription = undefined;
+        }
+    }
+
+    renderedCallback() {
+        if (this._focusModalOnRender) {
+            const closeButton =
+                this.template.querySelector('[data-modal-first]');
+
+            if (closeButton) {
+                closeButton.focus();
+                this._focusModalOnRender = false;
+
+                // the modal can be opened again with a closed step already selected
+                const closedStepSelect = this.template.querySelector(
+                    '[data-closed-step-select]'
+                );
+
+                if (closedStepSelect) {
+                    closedStepSelect.value =
+                        this._selectedClosedStepValue || '';
+                }
+            }
+        }
+
+        if (this._focusUpdateButtonOnRender) {
+            const updateButton = this.template.querySelector(
+                '[data-update-button]'
+            );
+
+            if (updateButton) {
+                updateButton.focus();
+            }
+
+            this._focusUpdateButtonOnRender = false;
+        }
+    }
+
+    /* ========== PUBLIC METHODS ========== */
+
+    /**
+     * Reloads the record, e.g. after it was updated by an Apex call
+     * @returns {Promise} Resolved once the reload is requested
+     */
+    @api
+    refresh() {
+        return notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
+    }
+
+    /**
+     * Selects a step, as if the user clicked on it.
+     * Steps the record can't move to are ignored.
+     * @param {String} stepValue Value of the step to select
+     */
+    @api
+    selectStep(stepValue) {
+        if (this.isLoaded) {
+            this._selectStep(stepValue);
+        }
+    }
+
+    /**
+     * Moves the record to the next step, as if the user pressed the update button
+     * without selecting any step. Opens the modal when next step is a closed one.
+     */
+    @api
+    markComplete() {
+        if (!this.isLoaded || this.isClosed || this.isReadOnly) {
+            return;
+        }
+
+        this.selectedStepValue = undefined;
+        this._setCurrentScenario();
+        this.save();
+    }
+
+    /**
+     * Performs the action of the update button, useful when the button is hidden
+     */
+    @api
+    save() {
+        if (this.isLoaded && !this.isReadOnly && !this.isUpdateButtonDisabled) {
+            this.handleUpdateButtonClick();
+        }
+    }
+
     /* ========== WIRED METHODS ========== */
 
     @wire(getRecord, {
         recordId: '$recordId',
         layoutTypes: 'Full',
-        modes: 'View'
+        modes: 'View',
+        optionalFields: '$optionalFields'
     })
     wiredRecord({ error, data }) {
-        if (error) {
-            this.errorMsg = error.body.message;
-        }
+        this._setWireError('record', error);
 
         if (data) {
+            const previousStepField = this.record
+                ? this.record.fields[this.activePicklistField]
+                : undefined;
+            const stepField = data.fields[this.activePicklistField];
+            // the step was changed elsewhere, e.g. by an inline edit or another user
+            const isStepChanged =
+                !this.isSaving &&
+                !!previousStepField &&
+                !!stepField &&
+                previousStepField.value !== stepField.value;
+            const selectedStepValue = this.selectedStepValue;
+
+            if (
+                this._wiredFieldHistory &&
+                this.record &&
+                this.record.lastModifiedDate !== data.lastModifiedDate
+            ) {
+                // the record changed, reload its history
+                refreshApex(this._wiredFieldHistory);
+            }
+
+            if (
+                this._wiredRecordAccess &&
+                this.record &&
+                this.record.lastModifiedDate !== data.lastModifiedDate
+            ) {
+                // the record may have been submitted for approval or shared differently
+                refreshApex(this._wiredRecordAccess);
+            }
+
             // set the record
             this.record = data;
 
             // set the current record type
             this._recordTypeId = data.recordTypeId;
+
+            // controlling field value might be changed
+            this._refreshPossibleSteps();
+
+            if (isStepChanged) {
+                this._checkSelectedStep(selectedStepValue);
+            }
         }
     }
 
     @wire(getObjectInfo, { objectApiName: '$objectApiName' })
     wiredObject({ error, data }) {
-        if (error) {
-            this.errorMsg = error.body.message;
-        }
+        this._setWireError('objectInfo', error);
 
         if (data) {
             this.objectInfo = data;
+
+            if (this.isDesignMode && !this._designRecordTypeId) {
+                // starts checking the configuration against all record types
+                this._designRecordTypeId = this.designRecordTypeIds[0];
+            }
+
+            if (!this.recordId) {
+                // in flows without a record, steps come from the given or the default record type
+                this._recordTypeId =
+                    this.recordTypeId || data.defaultRecordTypeId;
+            }
+
+            // controlling field is known only now
+            this._refreshPossibleSteps();
         }
     }
 
@@ -205,99 +906,677 @@ export default class PathAssistant extends LightningElement {
             return;
         }
 
-        if (error) {
-            this.errorMsg = error.body.message;
-        }
+        this._setWireError('picklistValues', error);
 
         if (data) {
-            if (data.picklistFieldValues[this.picklistField]) {
-                // stores possible steps
-                this.possibleSteps = data.picklistFieldValues[
-                    this.picklistField
-                ].values.map((elem, idx) => {
-                    return new Step(elem.value, elem.label, idx);
-                });
+            this.picklistFieldValues = data.picklistFieldValues;
+            this._loadRecordTypeSteps();
+        }
+    }
 
-                // checks that required values are included
-                this._validateSteps();
-            } else {
-                this.errorMsg = `Impossible to load ${
-                    this.picklistField
-                } values for record type ${this._recordTypeId}`;
+    // configuration is loaded only when custom metadata is used
+    @wire(getPathConfig, {
+        objectApiName: '$configObjectApiName',
+        recordTypeId: '$_recordTypeId'
+    })
+    wiredPathConfig(result) {
+        const { error, data } = result;
+        this._wiredPathConfig = result;
+        this._setWireError('pathConfig', error);
+
+        if (data !== undefined) {
+            this._metadataConfig = data;
+            this._closedValueList = this._parseClosedValues();
+
+            if (data && data.stepGuidance) {
+                try {
+                    this._guidanceByStep = StepGuidance.parseMap(
+                        data.stepGuidance
+                    );
+                } catch (e) {
+                    this._reportConfigError(
+                        formatLabel(
+                            this.labels.invalidGuidanceConfig,
+                            e.message
+                        )
+                    );
+                }
             }
+
+            this._isConfigLoaded = true;
+            this._loadRecordTypeSteps();
         }
     }
 
-    /* ========== PRIVATE METHODS ========== */
+    // in App Builder the picklist values of every record type are loaded, one at a time
+    @wire(getPicklistValuesByRecordType, {
+        objectApiName: '$objectApiName',
+        recordTypeId: '$_designRecordTypeId'
+    })
+    wiredDesignPicklistValues({ error, data }) {
+        const recordTypeId = this._designRecordTypeId;
 
-    /**
-     * Based on current component state set the current scenario
-     */
-    _setCurrentScenario() {
-        const state = new ScenarioState(
-            this.isClosed,
-            this.selectedStepValue,
-            this.currentStep.value,
-            OPEN_MODAL_TO_SELECT_CLOSED_STEP
+        if (!recordTypeId || (!error && !data)) {
+            return;
+        }
+
+        this._designPicklistValues = {
+            ...this._designPicklistValues,
+            [recordTypeId]: error
+                ? new ErrorDetails(error)
+                : data.picklistFieldValues
+        };
+
+        // moves to the next record type
+        this._designRecordTypeId = this.designRecordTypeIds.find(
+            (elem) => !(elem in this._designPicklistValues)
         );
+    }
 
-        for (let idx in this._scenarios) {
-            if (this._scenarios[idx].appliesToState(state)) {
-                this._currentScenario = this._scenarios[idx];
-                break;
-            }
+    // profile is loaded only when some profiles can move records backwards
+    @wire(getRecord, {
+        recordId: '$userIdForProfile',
+        fields: [USER_PROFILE_NAME_FIELD]
+    })
+    wiredUser({ error, data }) {
+        this._setWireError('user', error);
+
+        if (data) {
+            this._userProfileName = getFieldValue(
+                data,
+                USER_PROFILE_NAME_FIELD
+            );
         }
     }
 
-    /**
-     * Validate picklist values available for current record type.
-     * ClosedOk and ClosedKo values should be available together at least with another
-     * value.
-     */
-    _validateSteps() {
-        let isClosedOkAvailable = false;
-        let isClosedKoAvailable = false;
+    // history is loaded only when the time spent in each step is displayed
+    @wire(getFieldHistory, {
+        recordId: '$historyRecordId',
+        fieldApiName: '$activePicklistField'
+    })
+    wiredFieldHistory(result) {
+        this._wiredFieldHistory = result;
 
-        this.possibleSteps.forEach((step) => {
-            isClosedKoAvailable |= step.equals(this.closedKo);
-            isClosedOkAvailable |= step.equals(this.closedOk);
-        });
+        // history is optional, in case of errors the path is rendered without it
+        this._fieldHistory = result.data;
+    }
 
-        if (!isClosedOkAvailable) {
-            this.errorMsg = `${
-                this.closedOk
-            } value is not available for record type ${this._recordTypeId}`;
-        }
+    // step changes recorded as Path_Assistant_Transition__c records
+    @wire(getTransitionHistory, {
+        recordId: '$transitionHistoryRecordId',
+        fieldApiName: '$activePicklistField'
+    })
+    wiredTransitionHistory(result) {
+        this._wiredTransitionHistory = result;
 
-        if (!isClosedKoAvailable) {
-            this.errorMsg = `${
-                this.closedKo
-            } value is not available for record type ${this._recordTypeId}`;
-        }
+        // the history popover is optional, in case of errors it's not displayed
+        this._transitionHistory = result.data;
+    }
 
-        // checks steps contains at least three items (starting step plus the two closed ones)
-        if (this.possibleSteps.length < 3) {
-            // note: should I make this configurable?
-            this.errorMsg = `Not enough picklist values are available for record type ${
-                this._recordTypeId
-            }.`;
-        }
+    // the UI API doesn't tell if the record can be edited, e.g. when locked by an approval
+    @wire(getRecordAccess, { recordId: '$accessRecordId' })
+    wiredRecordAccess(result) {
+        this._wiredRecordAccess = result;
+
+        // in case of errors objectInfo is the only source of the user permissions,
+        // the update fails with a proper message when the record can't be edited
+        this._recordAccess = result.data;
     }
 
+    /* ========== PRIVATE METHODS ========== */
+
     /**
-     * Given a step returns the css class to apply in the rendered html element
-     * @param {Object} step Step instance
+     * Stores the error returned by a wire adapter, or clears it when the adapter
+     * returns data again
+     * @param {String} source Name of the wire adapter
+     * @param {Object} error Error returned by the adapter, undefined if none
      */
-    _getStepElementCssClass(step) {
-        let classText = 'slds-path__item';
+    _setWireError(source, error) {
+        const wireErrors = { ...this._wireErrors };
 
-        if (step.equals(this.closedOk)) {
-            classText += ' slds-is-won';
+        if (error) {
+            wireErrors[source] = new ErrorDetails(error);
+        } else {
+            delete wireErrors[source];
         }
 
-        if (step.equals(this.closedKo)) {
-            classText += ' slds-is-lost';
-        }
+        this._wireErrors = wireErrors;
+    }
+
+    /**
+     * Returns the sub-statuses valid for a step
+     * @param {String} stepValue Step value
+     * @returns {Object[]} Picklist values, each one with value and label
+     */
+    _getSubStatusValues(stepValue) {
+        const picklistValues = this.picklistFieldValues[this.subStatusField];
+        const controllerIdx = picklistValues.controllerValues[stepValue];
+
+        if (controllerIdx === undefined) {
+            return [];
+        }
+
+        return picklistValues.values.filter((elem) =>
+            elem.validFor.includes(controllerIdx)
+        );
+    }
+
+    /**
+     * Returns the label of a sub-status, the value itself if not found
+     * @param {String} subStatusValue Sub-status value
+     */
+    _getSubStatusLabel(subStatusValue) {
+        const picklistValue = this.picklistFieldValues[
+            this.subStatusField
+        ].values.find((elem) => elem.value === subStatusValue);
+
+        return picklistValue ? picklistValue.label : subStatusValue;
+    }
+
+    /**
+     * Removes the error of a field, e.g. once the user changed its value
+     * @param {String} fieldApiName API name of the field
+     */
+    _clearFieldError(fieldApiName) {
+        if (this._fieldErrors[fieldApiName]) {
+            const fieldErrors = { ...this._fieldErrors };
+            delete fieldErrors[fieldApiName];
+            this._fieldErrors = fieldErrors;
+        }
+    }
+
+    /**
+     * Stores the steps of current record type, once both the picklist values
+     * and the configuration are loaded
+     */
+    _loadRecordTypeSteps() {
+        if (!this.picklistFieldValues || !this._isConfigLoaded) {
+            return;
+        }
+
+        const picklistValues =
+            this.picklistFieldValues[this.activePicklistField];
+
+        this._stepsErrorMsg = undefined;
+
+        if (!picklistValues) {
+            if (!this.isDesignMode) {
+                // in App Builder it's reported for every record type, see designProblems
+                this._stepsErrorMsg = formatLabel(
+                    this.labels.picklistValuesNotLoaded,
+                    this.activePicklistField,
+                    this._getRecordTypeName(this._recordTypeId)
+                );
+            }
+            return;
+        }
+
+        // stores all steps of the record type
+        this._recordTypeSteps = picklistValues.values.map((elem, idx) => {
+            return new Step(elem.value, elem.label, idx);
+        });
+
+        // checks that required values are included
+        this._validateSteps();
+
+        // stores possible steps
+        this._refreshPossibleSteps();
+    }
+
+    /**
+     * Based on current component state set the current scenario
+     */
+    _setCurrentScenario() {
+        const state = new ScenarioState(
+            this.isClosed,
+            this.selectedStepValue,
+            this.currentStep.value,
+            OPEN_MODAL_TO_SELECT_CLOSED_STEP
+        );
+
+        for (let idx in this._scenarios) {
+            if (this._scenarios[idx].appliesToState(state)) {
+                this._currentScenario = this._scenarios[idx];
+                break;
+            }
+        }
+    }
+
+    /**
+     * Sets the steps available for current record. When the picklist field depends
+     * on a controlling field only the values valid for the controlling field value
+     * are kept. Current record value is always kept, even if not valid.
+     */
+    _refreshPossibleSteps() {
+        if (!this._recordTypeSteps) {
+            return;
+        }
+
+        const picklistValues =
+            this.picklistFieldValues[this.activePicklistField];
+        const controllerIdx = this._getControllerValueIndex(picklistValues);
+        const currentValue = this.currentValue;
+        const hiddenStepValues = this.hiddenStepValues;
+
+        this.possibleSteps = this._recordTypeSteps.filter((step) => {
+            if (hiddenStepValues.includes(step.value)) {
+                // even when it's the current one, see currentStep
+                return false;
+            }
+
+            if (step.equals(currentValue)) {
+                return true;
+            }
+
+            if (
+                this.stepValues &&
+                this.stepValues.length &&
+                !this.stepValues.includes(step.value)
+            ) {
+                // not one of the values given by the flow
+                return false;
+            }
+
+            return (
+                controllerIdx === undefined ||
+                picklistValues.values[step.index].validFor.includes(
+                    controllerIdx
+                )
+            );
+        });
+
+        if (
+            this.selectedStepValue &&
+            this.selectedStepValue !== OPEN_MODAL_TO_SELECT_CLOSED_STEP &&
+            !this.possibleSteps.some((step) =>
+                step.equals(this.selectedStepValue)
+            )
+        ) {
+            // user selection is not valid anymore
+            this.selectedStepValue = undefined;
+            this._currentScenario = undefined;
+        }
+
+        if (
+            this.isFlowScreen &&
+            this.selectedStep === undefined &&
+            currentValue !== undefined
+        ) {
+            // by default the flow outputs the current step
+            this._setFlowOutput(currentValue);
+        }
+    }
+
+    /**
+     * Returns the index of the controlling field value, as used by validFor property
+     * of dependent picklist values. Undefined when the picklist field is not dependent
+     * or the controlling field value is not accessible.
+     * @param {Object} picklistValues Picklist field values for current record type
+     */
+    _getControllerValueIndex(picklistValues) {
+        const controllerName = this.controllerFieldName;
+
+        if (
+            !controllerName ||
+            !this.record ||
+            !this.record.fields[controllerName]
+        ) {
+            return undefined;
+        }
+
+        const controllerValue = String(
+            this.record.fields[controllerName].value
+        );
+
+        // when controlling field is empty, or has an unmapped value, no value is valid
+        return controllerValue in picklistValues.controllerValues
+            ? picklistValues.controllerValues[controllerValue]
+            : -1;
+    }
+
+    /**
+     * Validate picklist values available for current record type.
+     * In App Builder all record types are checked, see designProblems.
+     */
+    _validateSteps() {
+        if (this.isDesignMode) {
+            return;
+        }
+
+        const problems = this._getStepProblems(
+            this._recordTypeSteps,
+            this._getRecordTypeName(this._recordTypeId)
+        );
+
+        if (problems.length) {
+            this._stepsErrorMsg = problems.join(' ');
+        }
+    }
+
+    /**
+     * Checks the steps of a record type against the configuration.
+     * All closed values should be available together at least with another
+     * value.
+     * @param {Step[]} steps All the steps of the record type
+     * @param {String} recordTypeName Record type name, used in messages
+     * @returns {String[]} Problems found, empty if none
+     */
+    _getStepProblems(steps, recordTypeName) {
+        const problems = [];
+        const closedValues = this.closedValueList;
+
+        if (!closedValues.length) {
+            problems.push(this.labels.noClosedValues);
+        }
+
+        closedValues.forEach((closedValue) => {
+            if (!closedValue.isValid()) {
+                problems.push(
+                    formatLabel(
+                        this.labels.invalidClosedOutcome,
+                        closedValue.value,
+                        ClosedOutcome.OK,
+                        ClosedOutcome.KO
+                    )
+                );
+            } else if (!steps.some((step) => step.equals(closedValue.value))) {
+                problems.push(
+                    formatLabel(
+                        this.labels.valueNotAvailable,
+                        closedValue.value,
+                        recordTypeName
+                    )
+                );
+            }
+        });
+
+        // checks steps contains at least one open step plus the closed ones
+        if (steps.every((step) => this._getClosedValue(step))) {
+            problems.push(
+                formatLabel(this.labels.notEnoughValues, recordTypeName)
+            );
+        }
+
+        return problems;
+    }
+
+    /**
+     * Returns the name of a record type, its id if unknown
+     * @param {String} recordTypeId Record type id
+     */
+    _getRecordTypeName(recordTypeId) {
+        const recordTypeInfo =
+            this.objectInfo && this.objectInfo.recordTypeInfos[recordTypeId];
+
+        return recordTypeInfo ? recordTypeInfo.name : recordTypeId;
+    }
+
+    /**
+     * Returns the configuration problems of a record type, each one followed by
+     * the values available for it
+     * @param {String} recordTypeId Record type id
+     * @returns {String[]} Problems found, empty if none
+     */
+    _getDesignProblems(recordTypeId) {
+        const recordTypeValues = this._designPicklistValues[recordTypeId];
+        const recordTypeName = this._getRecordTypeName(recordTypeId);
+
+        if (recordTypeValues instanceof ErrorDetails) {
+            return [`${recordTypeName}: ${recordTypeValues.getMessage()}`];
+        }
+
+        const picklistValues = recordTypeValues[this.activePicklistField];
+
+        if (!picklistValues) {
+            return [
+                formatLabel(
+                    this.labels.picklistValuesNotLoaded,
+                    this.activePicklistField,
+                    recordTypeName
+                )
+            ];
+        }
+
+        const steps = picklistValues.values.map((elem, idx) => {
+            return new Step(elem.value, elem.label, idx);
+        });
+        const availableValues = formatLabel(
+            this.labels.availableValues,
+            steps.map((step) => step.value).join(', ')
+        );
+
+        return this._getStepProblems(steps, recordTypeName).map(
+            (problem) => `${problem} ${availableValues}`
+        );
+    }
+
+    /**
+     * Reports an invalid property. In App Builder it's listed together with
+     * the other problems, otherwise it replaces the path.
+     * @param {String} message Problem description
+     */
+    _reportConfigError(message) {
+        if (this.isDesignMode) {
+            this._configProblems = [...this._configProblems, message];
+        } else {
+            this.errorMsg = message;
+        }
+    }
+
+    /**
+     * Parses the closed values set in the custom metadata configuration or,
+     * when none matches, in the component properties
+     * @returns {ClosedValue[]} Configured closed values
+     */
+    _parseClosedValues() {
+        if (this._metadataConfig) {
+            return ClosedValue.parseList(this._metadataConfig.closedValues);
+        }
+
+        const res = ClosedValue.parseList(this.closedValues);
+
+        if (
+            this.closedOk &&
+            !res.some((elem) => elem.value === this.closedOk)
+        ) {
+            res.push(new ClosedValue(this.closedOk, ClosedOutcome.OK));
+        }
+
+        if (
+            this.closedKo &&
+            !res.some((elem) => elem.value === this.closedKo)
+        ) {
+            res.push(new ClosedValue(this.closedKo, ClosedOutcome.KO));
+        }
+
+        return res;
+    }
+
+    /**
+     * Returns the ClosedValue matching the given step, undefined if the step
+     * is not a closed one
+     * @param {Step|String} step Step instance or step value
+     */
+    _getClosedValue(step) {
+        if (!step) {
+            return undefined;
+        }
+
+        const stepValue = step instanceof Step ? step.value : step;
+
+        return this.closedValueList.find(
+            (closedValue) => closedValue.value === stepValue
+        );
+    }
+
+    /**
+     * Returns the rule violated when moving the record from a step to another one
+     * @param {Step} step Target step
+     * @param {Step} fromStep Step the record moves from, current step by default
+     * @returns {String} TransitionViolation value, undefined when the transition is allowed
+     */
+    _getTransitionViolation(step, fromStep = this.currentStep) {
+        return this._transitionRules.check(
+            new TransitionState(
+                fromStep,
+                step,
+                this._getNextOpenStep(fromStep),
+                !!this._getClosedValue(fromStep),
+                !!this._getClosedValue(step),
+                this.canRegress
+            )
+        );
+    }
+
+    /**
+     * Returns the first open step after the given one
+     * @param {Step} fromStep Step to start from
+     * @returns {Step} Next open step, undefined when only closed steps are left
+     */
+    _getNextOpenStep(fromStep) {
+        const fromIndex = fromStep.hasValue() ? fromStep.index : -1;
+
+        return this.possibleSteps.find((step) => {
+            return step.index > fromIndex && !this._getClosedValue(step);
+        });
+    }
+
+    /**
+     * Returns the reason why the user can't move the record to the given step,
+     * undefined when it's allowed
+     * @param {Step} step Target step
+     */
+    _getDisabledReason(step) {
+        let violation;
+
+        if (step.equals(OPEN_MODAL_TO_SELECT_CLOSED_STEP)) {
+            // the last step is disabled when none of the closed steps can be reached
+            const violations = this.possibleSteps
+                .filter((elem) => {
+                    return (
+                        !!this._getClosedValue(elem) &&
+                        !elem.equals(this.currentStep)
+                    );
+                })
+                .map((elem) => this._getTransitionViolation(elem));
+
+            violation = violations.every((elem) => !!elem)
+                ? violations[0]
+                : undefined;
+        } else {
+            violation = this._getTransitionViolation(step);
+        }
+
+        return violation ? this.labels[violation] : undefined;
+    }
+
+    /**
+     * Returns the step the record moves to when user press the action button
+     */
+    _getScenarioTargetStep() {
+        const scenarioType = this._currentScenario
+            ? this._currentScenario.constructor
+            : undefined;
+
+        switch (scenarioType) {
+            case MarkAsCompleteScenario:
+                return (
+                    this.nextStep || new Step(OPEN_MODAL_TO_SELECT_CLOSED_STEP)
+                );
+            case MarkAsCurrentScenario:
+                return this._getStep(this.selectedStepValue);
+            default:
+                return new Step(OPEN_MODAL_TO_SELECT_CLOSED_STEP);
+        }
+    }
+
+    /**
+     * Returns the step with the given value, a step without label and index if not found
+     * @param {String} stepValue Step value
+     */
+    _getStep(stepValue) {
+        return (
+            this.possibleSteps.find((step) => step.equals(stepValue)) ||
+            new Step(stepValue)
+        );
+    }
+
+    /**
+     * Returns the time spent in each step, undefined when it's not available
+     */
+    _getStepDurations() {
+        if (
+            !this.record ||
+            !this.showTimeInStage ||
+            !this._fieldHistory ||
+            !this.record.fields.CreatedDate
+        ) {
+            return undefined;
+        }
+
+        return new StepDurations(
+            this._fieldHistory,
+            this.record.fields.CreatedDate.value,
+            Date.now()
+        );
+    }
+
+    /**
+     * Sets on the step the time the record spent in it
+     * @param {Step} step Step instance
+     * @param {StepDurations} durations Time spent in each step, can be undefined
+     */
+    _setStepDuration(step, durations) {
+        const isCurrent = durations && step.equals(durations.currentStepValue);
+        let duration;
+
+        if (isCurrent) {
+            duration = Date.now() - durations.currentStepSince;
+        } else if (durations) {
+            duration = durations.getDuration(step);
+        }
+
+        if (duration === undefined) {
+            step.setDuration(undefined, false);
+            return;
+        }
+
+        const isStale =
+            this.staleThresholdDays > 0 &&
+            duration > this.staleThresholdDays * DAY_MS;
+        const texts = [
+            formatLabel(
+                isCurrent
+                    ? this.labels.timeInCurrentStep
+                    : this.labels.timeInStep,
+                formatDuration(duration, LOCALE)
+            )
+        ];
+
+        if (isStale) {
+            texts.push(
+                formatLabel(this.labels.staleStep, this.staleThresholdDays)
+            );
+        }
+
+        step.setDuration(texts.join('\n'), isStale);
+    }
+
+    /**
+     * Given a step returns the css class to apply in the rendered html element
+     * @param {Object} step Step instance
+     */
+    _getStepElementCssClass(step) {
+        let classText = 'slds-path__item';
+        const closedValue = this._getClosedValue(step);
+
+        if (closedValue && closedValue.isOk()) {
+            classText += ' slds-is-won';
+        }
+
+        if (closedValue && closedValue.isKo()) {
+            classText += ' slds-is-lost';
+        }
 
         if (step.equals(this.selectedStepValue)) {
             classText += ' slds-is-active';
@@ -317,211 +1596,1657 @@ export default class PathAssistant extends LightningElement {
             classText += ' slds-is-incomplete';
         }
 
+        if (step.isDisabled()) {
+            classText += ' path-assistant__item_disabled';
+        }
+
+        if (step.isStale) {
+            classText += ' path-assistant__item_stale';
+        }
+
+        if (step.color) {
+            classText += ` path-assistant__item_colored path-assistant__item_${step.color}`;
+        }
+
         return classText;
     }
 
+    /**
+     * Returns the key fields values changed by the user for the step whose
+     * key fields are displayed
+     */
+    _getKeyFieldChanges() {
+        return this._keyFieldChanges[this.guidanceStepValue] || {};
+    }
+
     /**
      * Reset the component state
      */
     _resetComponentState() {
-        this.record = undefined;
         this.selectedStepValue = undefined;
+        this._focusedStepValue = undefined;
         this._selectedClosedStepValue = undefined;
         this._currentScenario = undefined;
+        this._keyFieldChanges = {};
+        this._closedStepFieldChanges = {};
+        this._pendingSubStatusValue = undefined;
+        this._modalSubStatusValue = undefined;
     }
 
     /**
-     * Update current record with the specified step.
-     * @param {String} stepValue Step value to set on current record
+     * Returns the descriptors used to render the given fields as inputs.
+     * Fields not accessible by the user are skipped.
+     * @param {String[]} fieldApiNames API names of the fields
+     * @param {Object} changes Field API name => value changed by the user
      */
-    _updateRecord(stepValue) {
-        // format the record for update call
-        let toUpdate = {
-            fields: {
-                Id: this.recordId
-            }
-        };
+    _getFieldDescriptors(fieldApiNames, changes) {
+        return fieldApiNames
+            .filter((fieldApiName) => !!this.objectInfo.fields[fieldApiName])
+            .map((fieldApiName) => {
+                const field = new FieldDescriptor(
+                    this.objectInfo.fields[fieldApiName],
+                    this.picklistFieldValues
+                        ? this.picklistFieldValues[fieldApiName]
+                        : undefined,
+                    this.record.fields[fieldApiName]
+                );
+
+                if (fieldApiName in changes) {
+                    field.setValue(changes[fieldApiName]);
+                }
+
+                if (this.isReadOnly) {
+                    field.setReadOnly();
+                }
+
+                if (this._fieldErrors[fieldApiName]) {
+                    field.setError(this._fieldErrors[fieldApiName]);
+                }
+
+                return field;
+            });
+    }
+
+    /**
+     * Handles a message received through the PathAssistant message channel.
+     * Messages for other records are ignored.
+     * @param {Object} message Message with recordId, action and stepValue properties
+     */
+    _handleMessage(message) {
+        if (message.recordId !== this.recordId) {
+            return;
+        }
+
+        switch (message.action) {
+            case CHANNEL_ACTIONS.REFRESH:
+                this.refresh();
+                break;
+            case CHANNEL_ACTIONS.SELECT_STEP:
+                this.selectStep(message.stepValue);
+                break;
+            case CHANNEL_ACTIONS.MARK_COMPLETE:
+                this.markComplete();
+                break;
+            case CHANNEL_ACTIONS.SAVE:
+                this.save();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Selects a step, as if the user clicked on it
+     * @param {String} stepValue Value of the step to select
+     */
+    _selectStep(stepValue) {
+        if (
+            this.isSaving ||
+            this.isReadOnly ||
+            this._getDisabledReason(this._getStep(stepValue))
+        ) {
+            // the record is being saved, is read-only or can't move to this step
+            return;
+        }
+
+        this.selectedStepValue = stepValue;
+        this._focusedStepValue = stepValue;
+        this.selectionClearedMsg = undefined;
+        this._pendingSubStatusValue = undefined;
+        this._setCurrentScenario();
+
+        if (this.isFlowScreen) {
+            // in flows selecting a step is enough, closed steps are chosen in the modal
+            if (stepValue === OPEN_MODAL_TO_SELECT_CLOSED_STEP) {
+                this._openModal();
+            } else {
+                this._setFlowOutput(stepValue);
+            }
+        }
+    }
+
+    /**
+     * Subscribes to the Change Data Capture events of the object, so that the
+     * record is reloaded when it's changed by triggers, integrations or other users
+     */
+    _subscribeToChangeEvents() {
+        if (
+            !this.liveRefresh ||
+            !this.recordId ||
+            !this.objectApiName ||
+            this.isFlowScreen
+        ) {
+            return;
+        }
+
+        isEmpEnabled()
+            .then((isEnabled) => {
+                return isEnabled
+                    ? subscribeToChannel(
+                          getChangeEventChannel(this.objectApiName),
+                          -1,
+                          (message) => this._handleChangeEvent(message)
+                      )
+                    : undefined;
+            })
+            .then((subscription) => {
+                if (subscription && !this._subscription) {
+                    // the component was removed in the meantime
+                    unsubscribeFromChannel(subscription);
+                } else {
+                    this._changeEventSubscription = subscription;
+                }
+            })
+            .catch(() => {
+                // live refresh is optional, the record is still reloaded by the page
+            });
+    }
+
+    /**
+     * Reloads the record when a change event concerns it
+     * @param {Object} message Change Data Capture event
+     */
+    _handleChangeEvent(message) {
+        const header = message.data.payload.ChangeEventHeader;
+
+        // the record id set in the page properties may have only 15 characters
+        if (
+            !this.isSaving &&
+            header.recordIds.some((recordId) =>
+                isSameRecordId(recordId, this.recordId)
+            )
+        ) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Called when the step of the record was changed elsewhere. The action is
+     * computed again and the user selection is cleared, with a warning, when
+     * the record can't move to the selected step anymore.
+     * @param {String} selectedStepValue Step selected before the change
+     */
+    _checkSelectedStep(selectedStepValue) {
+        // recomputed once the path is rendered again, see isLoaded
+        this._currentScenario = undefined;
+
+        if (!selectedStepValue) {
+            return;
+        }
+
+        const selectedStep = this._getStep(selectedStepValue);
+
+        if (
+            this.selectedStepValue === selectedStepValue &&
+            !selectedStep.equals(this.currentValue) &&
+            !this._getDisabledReason(selectedStep)
+        ) {
+            return;
+        }
+
+        this.selectedStepValue = undefined;
+        this._pendingSubStatusValue = undefined;
+
+        if (this.openModal && !this._pendingTransition) {
+            this.closeModal();
+        }
+
+        this.selectionClearedMsg = formatLabel(
+            this.labels.selectionCleared,
+            this.picklistFieldLabel,
+            this.currentStep.label || this.currentValue
+        );
+    }
+
+    /**
+     * Notifies the flow about the step selected by the user
+     * @param {String} stepValue Selected step value
+     */
+    _setFlowOutput(stepValue) {
+        this.selectedStep = stepValue;
+        this.isSelectedStepClosed = !!this._getClosedValue(stepValue);
+
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent('selectedStep', this.selectedStep)
+        );
+        this.dispatchEvent(
+            new FlowAttributeChangeEvent(
+                'isSelectedStepClosed',
+                this.isSelectedStepClosed
+            )
+        );
+    }
+
+    /**
+     * Opens the modal and moves the focus inside it
+     */
+    _openModal() {
+        this.openModal = true;
+        this._focusModalOnRender = true;
+        this._focusUpdateButtonOnRender = false;
+    }
+
+    /**
+     * Updates the record, once the flow or the confirmation required by the
+     * transition, if any, is completed in the modal.
+     * Fires a cancelable beforestepchange event first, so that parent components
+     * can prevent the change before any flow runs.
+     * @param {String} stepValue Step value to set on current record
+     * @param {Object} fieldValues Other field values to save together with the step
+     * @param {Object} options Optional settings, see _updateRecord
+     */
+    _requestUpdate(stepValue, fieldValues, options = {}) {
+        if (!this._dispatchBeforeStepChange(stepValue, fieldValues)) {
+            return;
+        }
+
+        const fromValue = this.currentStep.value;
+        const action = this._transitionActions.find((elem) =>
+            elem.matches(fromValue, stepValue)
+        );
+
+        if (!action) {
+            this._updateRecord(stepValue, fieldValues, options);
+            return;
+        }
+
+        this._pendingTransition = {
+            action,
+            stepValue,
+            fieldValues,
+            options,
+            flowInputVariables: [
+                { name: 'recordId', type: 'String', value: this.recordId },
+                { name: 'fromValue', type: 'String', value: fromValue },
+                { name: 'toValue', type: 'String', value: stepValue }
+            ]
+        };
+        this._openModal();
+    }
+
+    /**
+     * Moves the focus between the links of a path with Arrow, Home and End keys
+     * @param {KeyboardEvent} event Keydown event on a link of the path
+     * @param {String} pathSelector Selector of the path element, links of other
+     * paths are ignored
+     * @returns {String} Value of the link that got the focus, undefined when
+     * the key doesn't move the focus
+     */
+    _moveFocus(event, pathSelector) {
+        const links = [
+            ...this.template.querySelectorAll(
+                `${pathSelector} .slds-path__link`
+            )
+        ];
+        const idx = links.indexOf(event.currentTarget);
+        const nextKey = this.isRightToLeft ? 'ArrowLeft' : 'ArrowRight';
+        const previousKey = this.isRightToLeft ? 'ArrowRight' : 'ArrowLeft';
+        let newIdx;
+
+        switch (event.key) {
+            case nextKey:
+            case 'ArrowDown':
+                newIdx = Math.min(idx + 1, links.length - 1);
+                break;
+            case previousKey:
+            case 'ArrowUp':
+                newIdx = Math.max(idx - 1, 0);
+                break;
+            case 'Home':
+                newIdx = 0;
+                break;
+            case 'End':
+                newIdx = links.length - 1;
+                break;
+            default:
+                return undefined;
+        }
+
+        event.preventDefault();
+        links[newIdx].focus();
+        return links[newIdx].getAttribute('data-value');
+    }
+
+    /**
+     * Returns the fields to save when moving the record to a step: the key
+     * fields edited by the user, the given field values, the step and the
+     * sub-status chosen for it
+     * @param {String} stepValue Step value to set on current record
+     * @param {Object} fieldValues Other field values to save together with the step
+     */
+    _getFieldsToUpdate(stepValue, fieldValues) {
+        const fields = {
+            Id: this.recordId,
+            ...this._getKeyFieldChanges(),
+            ...fieldValues,
+            [this.activePicklistField]: stepValue
+        };
+
+        if (
+            this.hasSubStatus &&
+            stepValue !== this.currentStep.value &&
+            !(this.subStatusField in fields)
+        ) {
+            // sub-status of the previous step is replaced by the one chosen, if any
+            fields[this.subStatusField] = this._getSubStatusValues(
+                stepValue
+            ).some((elem) => elem.value === this._pendingSubStatusValue)
+                ? this._pendingSubStatusValue
+                : null;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Fires the cancelable beforestepchange event
+     * @param {String} stepValue Step value to set on current record
+     * @param {Object} fieldValues Other field values to save together with the step
+     * @returns {Boolean} False when a parent component prevented the change
+     */
+    _dispatchBeforeStepChange(stepValue, fieldValues) {
+        return this.dispatchEvent(
+            new CustomEvent('beforestepchange', {
+                cancelable: true,
+                detail: {
+                    recordId: this.recordId,
+                    previousValue: this.currentStep.value,
+                    newValue: stepValue,
+                    fields: this._getFieldsToUpdate(stepValue, fieldValues)
+                }
+            })
+        );
+    }
+
+    /**
+     * Updates the record once the flow or the confirmation of the transition
+     * is completed
+     */
+    _commitTransition() {
+        const { action, stepValue, fieldValues, options } =
+            this._pendingTransition;
+
+        this.closeModal();
+
+        // the flow may have updated the record itself
+        this._updateRecord(stepValue, fieldValues, {
+            ...options,
+            skipConflictCheck: action.isFlow
+        });
+    }
+
+    /**
+     * Shows the toast that allows to undo the last change
+     * @param {Object} undoAction Change to undo, see undoAction property
+     */
+    _showUndoToast(undoAction) {
+        this._hideUndoToast();
+        this.undoAction = undoAction;
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._undoTimeout = setTimeout(() => {
+            this._hideUndoToast();
+        }, UNDO_TOAST_DURATION);
+    }
+
+    /**
+     * Checks if the transition rules allow to move the record back to the
+     * previous step, the same rules as for any other step change apply to Undo
+     * @param {String} stepValue Step the record is in
+     * @param {String} previousValue Step the record was in before the change
+     */
+    _canUndo(stepValue, previousValue) {
+        return (
+            stepValue === previousValue ||
+            !this._getTransitionViolation(
+                this._getStep(previousValue),
+                this._getStep(stepValue)
+            )
+        );
+    }
+
+    /**
+     * Hides the undo toast, the last change can't be undone anymore
+     */
+    _hideUndoToast() {
+        clearTimeout(this._undoTimeout);
+        this._undoTimeout = undefined;
+        this.undoAction = undefined;
+    }
+
+    /**
+     * Records a step change in the audit trail
+     * @param {Object} entry Step change, see PathAssistantController.TransitionEntry
+     * @param {String} stepLabel Label of the step the record moved to
+     */
+    _logTransition(entry, stepLabel) {
+        logTransition({
+            entry,
+            publishEvent: this.auditTrail === AuditTrail.EVENT
+        })
+            .then(() => {
+                if (this._wiredTransitionHistory) {
+                    refreshApex(this._wiredTransitionHistory);
+                }
+            })
+            .catch((error) => {
+                // the step was changed anyway, users are told the change is not recorded
+                this.updateErrorDetails = new ErrorDetails(error);
+                this.updateErrorMsg = formatLabel(
+                    this.labels.auditFailed,
+                    stepLabel,
+                    this.updateErrorDetails.getMessage()
+                );
+            });
+    }
+
+    /**
+     * Shows confetti when the record reached a celebrated step, according to
+     * the celebration frequency. Users who prefer reduced motion never see it.
+     * @param {String} stepValue Step the record moved to
+     */
+    _celebrate(stepValue) {
+        const closedValue = this._getClosedValue(stepValue);
+        const isCelebrated =
+            (!!closedValue && closedValue.isOk()) ||
+            parseValueList(this.celebratedSteps).includes(stepValue);
+
+        if (
+            !isCelebrated ||
+            !isCelebrationDue(this.celebrationFrequency, Math.random()) ||
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        ) {
+            return;
+        }
+
+        this.confettiPieces = Array.from(
+            { length: CONFETTI_COUNT },
+            (_, idx) => {
+                const left = Math.round(Math.random() * 100);
+                const delay = Math.round(Math.random() * 1000);
+                const color = CONFETTI_COLORS[idx % CONFETTI_COLORS.length];
+
+                return {
+                    key: idx,
+                    style: `left: ${left}%; animation-delay: ${delay}ms; background-color: ${color};`
+                };
+            }
+        );
+
+        clearTimeout(this._celebrationTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._celebrationTimeout = setTimeout(() => {
+            this.confettiPieces = [];
+        }, CELEBRATION_DURATION);
+    }
+
+    /**
+     * Update current record with the specified step.
+     * The new step is displayed right away and rolled back if the update fails.
+     * The update is rejected when the record was modified by someone else after
+     * it was loaded.
+     * Fires either a stepchange or a steperror event once done, the
+     * beforestepchange event is fired by _requestUpdate.
+     * @param {String} stepValue Step value to set on current record
+     * @param {Object} fieldValues Other field values to save together with the step
+     * @param {Object} options Optional settings: isUndo, true when undoing the last
+     * change, ifUnmodifiedSince, last modified date the record must have,
+     * skipConflictCheck, true to update the record even if it was modified, and
+     * isFromModal, true when the step was chosen in the modal
+     */
+    _updateRecord(stepValue, fieldValues, options = {}) {
+        // format the record for update call
+        const toUpdate = {
+            fields: this._getFieldsToUpdate(stepValue, fieldValues)
+        };
+
+        const isStepChange = stepValue !== this.currentStep.value;
+
+        const eventDetail = {
+            recordId: this.recordId,
+            previousValue: this.currentStep.value,
+            newValue: stepValue,
+            fields: { ...toUpdate.fields }
+        };
+
+        // recorded once the update succeeds, the scenario is reset right after the update starts
+        const auditEntry =
+            this.isAuditEnabled && isStepChange
+                ? {
+                      recordId: this.recordId,
+                      objectApiName: this.objectApiName,
+                      fieldApiName: this.activePicklistField,
+                      fromStep: this.currentStep.value,
+                      toStep: stepValue,
+                      scenario: options.isUndo
+                          ? ScenarioType.UNDO
+                          : this._currentScenario && this._currentScenario.type,
+                      comment: this.comment || null,
+                      page: window.location.pathname
+                  }
+                : undefined;
+
+        // user edits are restored if the update fails
+        const keyFieldChanges = this._keyFieldChanges;
+        // only the sub-status changes when the record stays in the same step
+        const isSubStatusChange =
+            !isStepChange &&
+            this.hasSubStatus &&
+            this.subStatusField in toUpdate.fields;
+        const changedFieldLabel = isSubStatusChange
+            ? this.subStatusFieldLabel
+            : this.picklistFieldLabel;
+        const stepLabel = isSubStatusChange
+            ? this._getSubStatusLabel(toUpdate.fields[this.subStatusField])
+            : this._getStep(stepValue).label || stepValue;
+
+        // values before the change, used to undo it
+        const previousFieldValues = {};
+
+        Object.keys(toUpdate.fields).forEach((fieldApiName) => {
+            if (fieldApiName !== 'Id' && this.record.fields[fieldApiName]) {
+                previousFieldValues[fieldApiName] =
+                    this.record.fields[fieldApiName].value;
+            }
+        });
+
+        // displays the new step right away
+        this._optimisticStepValue = stepValue;
+        this.updateErrorMsg = undefined;
+        this.updateErrorDetails = undefined;
+        this.selectionClearedMsg = undefined;
+        this._fieldErrors = {};
+        this.isSaving = true;
+        this._hideUndoToast();
+
+        updateRecord(
+            toUpdate,
+            options.skipConflictCheck
+                ? undefined
+                : {
+                      ifUnmodifiedSince:
+                          options.ifUnmodifiedSince ||
+                          this.record.lastModifiedDate
+                  }
+        )
+            .then((updatedRecord) => {
+                this._optimisticStepValue = undefined;
+                this.isSaving = false;
+
+                if (auditEntry) {
+                    this.comment = '';
+                    this._logTransition(auditEntry, stepLabel);
+                }
+
+                if (isStepChange && !options.isUndo) {
+                    this._celebrate(stepValue);
+                }
+
+                if (!options.isUndo) {
+                    this._showUndoToast({
+                        message: formatLabel(
+                            this.labels.stepChanged,
+                            changedFieldLabel,
+                            stepLabel
+                        ),
+                        fieldValues: previousFieldValues,
+                        lastModifiedDate: updatedRecord.lastModifiedDate,
+                        canUndo: this._canUndo(
+                            stepValue,
+                            previousFieldValues[this.activePicklistField]
+                        )
+                    });
+                }
+
+                this.dispatchEvent(
+                    new CustomEvent('stepchange', { detail: eventDetail })
+                );
+            })
+            .catch((error) => {
+                // rolls back to the previous step
+                this._optimisticStepValue = undefined;
+                this._keyFieldChanges = keyFieldChanges;
+                this._currentScenario = undefined;
+                this.isSaving = false;
+
+                const errorDetails = new ErrorDetails(error);
+                this.updateErrorDetails = errorDetails;
+
+                if (error.status === PRECONDITION_FAILED_STATUS) {
+                    // someone else modified the record, loads the latest version
+                    this.updateErrorMsg = options.isUndo
+                        ? this.labels.undoNotPossible
+                        : this.labels.recordChanged;
+                    this.refresh();
+                } else if (options.isFromModal) {
+                    // the modal is displayed again, so that users can fix the values
+                    this._fieldErrors = errorDetails.fieldErrors;
+                    this._selectedClosedStepValue = stepValue;
+                    this._closedStepFieldChanges = fieldValues;
+                    this.modalErrorMsg = formatLabel(
+                        this.labels.updateFailed,
+                        stepLabel,
+                        errorDetails.getMessage(
+                            this.closedStepFieldList.map(
+                                (field) => field.apiName
+                            )
+                        )
+                    );
+                    this._openModal();
+                } else {
+                    this._fieldErrors = errorDetails.fieldErrors;
+                    this.updateErrorMsg = formatLabel(
+                        this.labels.updateFailed,
+                        stepLabel,
+                        errorDetails.getMessage()
+                    );
+                }
+
+                this.dispatchEvent(
+                    new CustomEvent('steperror', {
+                        detail: {
+                            ...eventDetail,
+                            error: errorDetails.getMessage()
+                        }
+                    })
+                );
+            });
+
+        // reset component state
+        this._resetComponentState();
+    }
+
+    /* ========== GETTER METHODS ========== */
+
+    // returns current value of the picklist field, or the value being saved
+    get currentValue() {
+        if (this._optimisticStepValue !== undefined) {
+            return this._optimisticStepValue;
+        }
+
+        if (this.record) {
+            // field is missing while the record is reloaded with the field set in custom metadata
+            const field = this.record.fields[this.activePicklistField];
+            return field ? field.value : undefined;
+        }
+
+        if (this.isDesignMode) {
+            // sample data for the preview: the record is in the first open step
+            const previewStep = (this._recordTypeSteps || []).find(
+                (step) =>
+                    !this._getClosedValue(step) &&
+                    !this.hiddenStepValues.includes(step.value)
+            );
+            return previewStep ? previewStep.value : undefined;
+        }
+
+        // flows without a record
+        return this.stepValue;
+    }
+
+    // returns current step of path assistant
+    get currentStep() {
+        const currentValue = this.currentValue;
+
+        for (let idx in this.possibleSteps) {
+            if (this.possibleSteps[idx].equals(currentValue)) {
+                return this.possibleSteps[idx];
+            }
+        }
+
+        if (!currentValue) {
+            // empty step
+            return new Step();
+        }
+
+        // the record is in a step not displayed in the path, e.g. a hidden one.
+        // The position in the picklist is kept, so that next steps are still computed
+        const recordTypeStep = (this._recordTypeSteps || []).find((step) =>
+            step.equals(currentValue)
+        );
+        const offPathStep = recordTypeStep
+            ? new Step(
+                  recordTypeStep.value,
+                  recordTypeStep.label,
+                  recordTypeStep.index
+              )
+            : new Step(currentValue, currentValue);
+
+        offPathStep.setOffPath();
+        return offPathStep;
+    }
+
+    // true when the record is in a step not displayed in the path
+    get isOffPath() {
+        return this.isLoaded && this.currentStep.isOffPath;
+    }
+
+    // explains that the record is in a step not displayed in the path
+    get offPathMessage() {
+        return formatLabel(
+            this.labels.offPath,
+            this.picklistFieldLabel,
+            this.currentStep.label
+        );
+    }
+
+    // returns next open step, undefined when only closed steps are left
+    get nextStep() {
+        return this._getNextOpenStep(this.currentStep);
+    }
+
+    // get progress bar steps
+    get steps() {
+        // makes a copy of picklistValues. This is because during rendering phase we cannot alter the status of a tracked variable
+        // const possibleSteps = JSON.parse(JSON.stringify(this.possibleSteps));
+
+        const durations = this._getStepDurations();
+
+        let res = this.possibleSteps
+            .filter((step) => {
+                // filters out closed steps
+                return !this._getClosedValue(step);
+            })
+            .map((step) => {
+                // adds the properties used to render correctly the element
+                step.setDisabledReason(this._getDisabledReason(step));
+                step.setStyle(this._stylesByStep[step.value]);
+                this._setStepDuration(step, durations);
+                step.setClassText(this._getStepElementCssClass(step));
+                return step;
+            });
+
+        let lastStep;
+
+        if (this.isClosed) {
+            lastStep = this.currentStep;
+        } else {
+            // record didn't reach a closed step
+            // create a fake one that will allow users to pick one of the closed values
+            // in flows it shows the closed step chosen in the modal
+            const chosenClosedStep =
+                this.isFlowScreen && this.isSelectedStepClosed
+                    ? this._getStep(this.selectedStep)
+                    : undefined;
+
+            lastStep = new Step(
+                OPEN_MODAL_TO_SELECT_CLOSED_STEP,
+                chosenClosedStep
+                    ? chosenClosedStep.label
+                    : this.activeLastStepLabel,
+                Infinity
+            );
+        }
+
+        lastStep.setDisabledReason(this._getDisabledReason(lastStep));
+        lastStep.setStyle(this._stylesByStep[lastStep.value]);
+        this._setStepDuration(lastStep, durations);
+        lastStep.setClassText(this._getStepElementCssClass(lastStep));
+
+        res.push(lastStep);
+
+        // only one step at a time can be reached with the Tab key
+        const activeValue = this.selectedStepValue || this.currentStep.value;
+        let focusableValue = this._focusedStepValue || activeValue;
+
+        if (!res.some((step) => step.equals(focusableValue))) {
+            focusableValue = res[0].value;
+        }
+
+        res.forEach((step) => {
+            step.setAriaState(
+                step.equals(activeValue),
+                step.equals(this.currentStep),
+                step.equals(focusableValue)
+            );
+        });
+
+        return res;
+    }
+
+    // returns only closed steps the record can move to
+    get closedSteps() {
+        return this.possibleSteps.filter((step) => {
+            return (
+                !!this._getClosedValue(step) &&
+                !this._getTransitionViolation(step)
+            );
+        });
+    }
+
+    // returns all configured closed values, closedOk and closedKo included
+    get closedValueList() {
+        return this._closedValueList;
+    }
+
+    // return action button text label.
+    // Placeholders: {0} picklist field label, {1} label of the step the record moves to
+    get updateButtonText() {
+        return this._currentScenario
+            ? this._currentScenario.layout.getUpdateButtonText(
+                  this.picklistFieldLabel,
+                  this.targetStepLabel
+              )
+            : '';
+    }
+
+    // returns the header for the modal.
+    // Placeholders: {0} picklist field label, {1} label of the step the record moves to
+    get modalHeader() {
+        if (this._pendingTransition) {
+            return formatLabel(
+                this.labels.transitionHeader,
+                this.picklistFieldLabel,
+                this.transitionStepLabel
+            );
+        }
+
+        return this._currentScenario
+            ? this._currentScenario.layout.getModalHeader(
+                  this.picklistFieldLabel,
+                  this.targetStepLabel
+              )
+            : '';
+    }
+
+    // true when the modal hosts the flow or the confirmation of a transition
+    get isTransitionModal() {
+        return !!this._pendingTransition;
+    }
+
+    get isTransitionFlow() {
+        return this.isTransitionModal && this._pendingTransition.action.isFlow;
+    }
+
+    get transitionFlowApiName() {
+        return this._pendingTransition.action.flowApiName;
+    }
+
+    // recordId, fromValue and toValue input variables of the transition flow
+    get transitionFlowInputVariables() {
+        return this._pendingTransition.flowInputVariables;
+    }
+
+    get transitionConfirmMessage() {
+        return this._pendingTransition.action.confirmMessage;
+    }
+
+    // label of the step the record moves to once the transition is completed
+    get transitionStepLabel() {
+        const stepValue = this._pendingTransition.stepValue;
+
+        return this._getStep(stepValue).label || stepValue;
+    }
+
+    // label of the step the record moves to when user press the action button
+    get targetStepLabel() {
+        const targetStep = this._getScenarioTargetStep();
+
+        return targetStep.equals(OPEN_MODAL_TO_SELECT_CLOSED_STEP)
+            ? this.activeLastStepLabel
+            : targetStep.label;
+    }
+
+    // returns the label for the select input field inside the modal
+    get selectLabel() {
+        return this.picklistFieldLabel;
+    }
+
+    // returns the label of the picklist field used to render the path
+    get picklistFieldLabel() {
+        return this.objectInfo.fields[this.activePicklistField].label;
+    }
+
+    // true when the sub-status path is rendered
+    get hasSubStatus() {
+        return (
+            !!this.subStatusField &&
+            !this.isFlowScreen &&
+            !!this.record &&
+            !!this.picklistFieldValues &&
+            !!this.picklistFieldValues[this.subStatusField]
+        );
+    }
+
+    get subStatusFieldLabel() {
+        return this.objectInfo.fields[this.subStatusField].label;
+    }
+
+    // step whose sub-statuses are displayed: the selected one, or the current one
+    get subStatusStepValue() {
+        return this.selectedStepValue &&
+            this.selectedStepValue !== OPEN_MODAL_TO_SELECT_CLOSED_STEP
+            ? this.selectedStepValue
+            : this.currentValue;
+    }
+
+    // sub-statuses of the selected or current step. For the current step the
+    // record value is the current one, for another step the one chosen by the user
+    get subSteps() {
+        const isCurrentStep = this.subStatusStepValue === this.currentValue;
+        const activeValue = isCurrentStep
+            ? this.record.fields[this.subStatusField].value
+            : this._pendingSubStatusValue;
+        const res = this._getSubStatusValues(this.subStatusStepValue).map(
+            (elem, idx) => new Step(elem.value, elem.label, idx)
+        );
+        const activeStep = res.find((step) => step.equals(activeValue));
+
+        // only one sub-status at a time can be reached with the Tab key
+        const focusableStep =
+            res.find((step) => step.equals(this._focusedSubStepValue)) ||
+            activeStep ||
+            res[0];
+
+        res.forEach((step) => {
+            let classText = 'slds-path__item';
+
+            if (step.equals(activeStep)) {
+                classText += isCurrentStep
+                    ? ' slds-is-current slds-is-active'
+                    : ' slds-is-active';
+            } else if (
+                isCurrentStep &&
+                activeStep &&
+                step.isBefore(activeStep)
+            ) {
+                classText += ' slds-is-complete';
+            } else {
+                classText += ' slds-is-incomplete';
+            }
+
+            step.setClassText(classText);
+            step.setAriaState(
+                step.equals(activeStep),
+                isCurrentStep && step.equals(activeStep),
+                step.equals(focusableStep)
+            );
+        });
+
+        return res;
+    }
+
+    get hasSubSteps() {
+        return this.hasSubStatus && this.subSteps.length > 0;
+    }
+
+    // explains why the record can't move to the target step without a sub-status
+    get missingSubStatusReason() {
+        if (!this.requireSubStatus || !this.hasSubStatus) {
+            return undefined;
+        }
+
+        const targetStep = this._getScenarioTargetStep();
+        const subStatusValues = this._getSubStatusValues(targetStep.value);
+
+        if (
+            targetStep.equals(OPEN_MODAL_TO_SELECT_CLOSED_STEP) ||
+            targetStep.equals(this.currentStep) ||
+            !subStatusValues.length ||
+            (targetStep.equals(this.selectedStepValue) &&
+                subStatusValues.some(
+                    (elem) => elem.value === this._pendingSubStatusValue
+                ))
+        ) {
+            return undefined;
+        }
+
+        return formatLabel(
+            this.labels.subStatusRequired,
+            this.subStatusFieldLabel,
+            targetStep.label
+        );
+    }
+
+    // sub-statuses of the closed step selected in the modal
+    get modalSubStatusOptions() {
+        if (!this.hasSubStatus || !this._selectedClosedStepValue) {
+            return [];
+        }
+
+        return this._getSubStatusValues(this._selectedClosedStepValue);
+    }
+
+    get hasModalSubStatusOptions() {
+        return this.modalSubStatusOptions.length > 0;
+    }
+
+    // true if current record reached a closed step
+    get isClosed() {
+        return !!this._getClosedValue(this.currentStep);
+    }
+
+    // true if current record was closed with a positive outcome
+    get isClosedOk() {
+        const closedValue = this._getClosedValue(this.currentStep);
+        return !!closedValue && closedValue.isOk();
+    }
+
+    // true while confetti are falling
+    get isCelebrating() {
+        return this.confettiPieces.length > 0;
+    }
+
+    // true if current record was closed with a negative outcome
+    get isClosedKo() {
+        const closedValue = this._getClosedValue(this.currentStep);
+        return !!closedValue && closedValue.isKo();
+    }
+
+    // true when all required data is loaded
+    get isLoaded() {
+        // flows and App Builder can render the path without a record
+        const res =
+            (this.record || !this.recordId) &&
+            this.objectInfo &&
+            this.possibleSteps;
+        if (res && !this._currentScenario) {
+            // when fully loaded initialize the action
+            this._setCurrentScenario();
+        }
+        return res;
+    }
+
+    // true if picklist field is empty and user didn't select any value yet,
+    // if the record is being saved or if it can't move to the step of the current scenario
+    get isUpdateButtonDisabled() {
+        if (
+            this.isSaving ||
+            (!this.currentStep.hasValue() && !this.selectedStepValue)
+        ) {
+            return true;
+        }
+
+        return !!this.updateButtonTitle;
+    }
+
+    // explains why the update button is disabled
+    get updateButtonTitle() {
+        return (
+            this._getDisabledReason(this._getScenarioTargetStep()) ||
+            this.missingSubStatusReason
+        );
+    }
+
+    // record id, set only when the path can be used to update the record
+    get accessRecordId() {
+        return this.isFlowScreen || this.readOnly || IS_GUEST
+            ? undefined
+            : this.recordId;
+    }
+
+    // record id, set only when the field history is needed
+    get historyRecordId() {
+        return this.showTimeInStage ? this.recordId : undefined;
+    }
+
+    // user id, set only when the user profile is needed by transition rules
+    get userIdForProfile() {
+        return this.preventRegressions && this.regressionProfiles
+            ? USER_ID
+            : undefined;
+    }
+
+    // true if current user is allowed to move records backwards
+    get canRegress() {
+        if (!this.regressionProfiles || !this._userProfileName) {
+            return false;
+        }
+
+        return this.regressionProfiles
+            .split(',')
+            .map((elem) => elem.trim())
+            .includes(this._userProfileName);
+    }
+
+    // true if component is not fully loaded
+    get hasToShowSpinner() {
+        // in App Builder an invalid configuration can prevent the preview from loading
+        return !this.isLoaded && !(this.isDesignMode && this.hasDesignProblems);
+    }
+
+    get genericErrorMessage() {
+        return this.labels.genericErrorMessage;
+    }
+
+    // true when the error panel replaces the path
+    get hasErrors() {
+        return (
+            !!this.errorMsg ||
+            !!this._stepsErrorMsg ||
+            this.isRecordMissing ||
+            this.hasWireErrors
+        );
+    }
+
+    // errors of data that can be loaded again
+    get hasWireErrors() {
+        return Object.keys(this._wireErrors).length > 0;
+    }
+
+    // messages displayed in the error panel, configuration error first
+    get errorMessages() {
+        const res = [];
+
+        if (this.isRecordMissing) {
+            res.push({ key: 'record', message: this.labels.recordMissing });
+        }
+
+        if (this.errorMsg) {
+            res.push({ key: 'config', message: this.errorMsg });
+        }
+
+        if (this._stepsErrorMsg) {
+            res.push({ key: 'steps', message: this._stepsErrorMsg });
+        }
+
+        Object.keys(this._wireErrors).forEach((source) => {
+            res.push({
+                key: source,
+                message: this._wireErrors[source].getMessage()
+            });
+        });
+
+        return res;
+    }
+
+    // detailed errors are displayed only to users who can customize the org
+    get isAdmin() {
+        return HAS_CUSTOMIZE_APPLICATION;
+    }
+
+    get diagnosticsToggleLabel() {
+        return this.showDiagnostics
+            ? this.labels.hideDetails
+            : this.labels.showDetails;
+    }
+
+    // details of the errors displayed in the error panel, for admins
+    get wireDiagnostics() {
+        return Object.keys(this._wireErrors)
+            .map(
+                (source) => `${source}: ${this._wireErrors[source].diagnostics}`
+            )
+            .join('\n');
+    }
+
+    // details of the last failed update, for admins
+    get updateDiagnostics() {
+        return this.updateErrorDetails
+            ? this.updateErrorDetails.diagnostics
+            : undefined;
+    }
+
+    // in flows steps are chosen by clicking on them
+    get displayUpdateButton() {
+        return !this.hideUpdateButton && !this.isFlowScreen && !this.isReadOnly;
+    }
+
+    // picklist field used to render the path, from custom metadata when available
+    get activePicklistField() {
+        return this._metadataConfig && this._metadataConfig.picklistField
+            ? this._metadataConfig.picklistField
+            : this.picklistField;
+    }
+
+    // values not displayed as steps, from the component and from custom metadata
+    get hiddenStepValues() {
+        return [
+            ...parseValueList(this.hiddenSteps),
+            ...parseValueList(
+                this._metadataConfig ? this._metadataConfig.hiddenSteps : ''
+            )
+        ];
+    }
+
+    // label of the last step, from custom metadata when available
+    get activeLastStepLabel() {
+        return this._metadataConfig && this._metadataConfig.lastStepLabel
+            ? this._metadataConfig.lastStepLabel
+            : this.lastStepLabel;
+    }
+
+    // object of the configuration to load, undefined when custom metadata is not used
+    get configObjectApiName() {
+        return this.useMetadataConfig ? this.objectApiName : undefined;
+    }
+
+    // layout used to render the path. Automatic layout is compact on phones,
+    // vertical in narrow page regions and horizontal elsewhere
+    get activeLayout() {
+        if (this.layout && this.layout !== PathLayout.AUTO) {
+            return this.layout;
+        }
+
+        if (FORM_FACTOR === SMALL_FORM_FACTOR) {
+            return PathLayout.COMPACT;
+        }
+
+        if (this.flexipageRegionWidth === SMALL_REGION_WIDTH) {
+            return PathLayout.VERTICAL;
+        }
+
+        return PathLayout.HORIZONTAL;
+    }
+
+    get isCompactLayout() {
+        return this.activeLayout === PathLayout.COMPACT;
+    }
+
+    get isVerticalLayout() {
+        return this.activeLayout === PathLayout.VERTICAL;
+    }
+
+    // the compact layout dropdown can't be used while saving or when read-only
+    get isStepSelectDisabled() {
+        return this.isSaving || this.isReadOnly;
+    }
+
+    // aria-orientation attribute of the path
+    get pathOrientation() {
+        return this.isVerticalLayout ? 'vertical' : 'horizontal';
+    }
+
+    // users who can't edit the record or the picklist field can only see the progress.
+    // In flows the record is never updated, so users can always select a step
+    get isReadOnly() {
+        return (
+            !this.isFlowScreen &&
+            (!!this.readOnly || this.isDesignMode || !!this.readOnlyReason)
+        );
+    }
+
+    // short explanation of why the user can't change the step, undefined when
+    // the path is editable or made read-only on purpose
+    get readOnlyReason() {
+        if (this.isFlowScreen || this.readOnly || this.isDesignMode) {
+            return undefined;
+        }
+
+        if (IS_GUEST || (this.objectInfo && !this.objectInfo.updateable)) {
+            return this.labels.readOnlyRecord;
+        }
+
+        const fieldInfo =
+            this.objectInfo && this.objectInfo.fields[this.activePicklistField];
+
+        if (fieldInfo && !fieldInfo.updateable) {
+            return formatLabel(this.labels.readOnlyField, fieldInfo.label);
+        }
+
+        if (this._recordAccess && this._recordAccess.isLocked) {
+            return this.labels.recordLocked;
+        }
+
+        if (this._recordAccess && !this._recordAccess.hasEditAccess) {
+            return this.labels.readOnlyRecord;
+        }
+
+        return undefined;
+    }
+
+    // App Builder renders the component without a record: the configuration
+    // is checked and the path is rendered as a preview
+    get isDesignMode() {
+        return !this.recordId && !this.isFlowScreen && isPageBuilder();
+    }
+
+    // true when the page doesn't provide the record the path is displayed for
+    get isRecordMissing() {
+        return !this.recordId && !this.isFlowScreen && !this.isDesignMode;
+    }
+
+    // record types the configuration is checked against in App Builder
+    get designRecordTypeIds() {
+        if (!this.objectInfo) {
+            return [];
+        }
+
+        return Object.values(this.objectInfo.recordTypeInfos)
+            .filter((recordTypeInfo) => recordTypeInfo.available)
+            .map((recordTypeInfo) => recordTypeInfo.recordTypeId);
+    }
+
+    // true once the values of all record types are loaded
+    get isDesignCheckComplete() {
+        return this.designRecordTypeIds.every(
+            (recordTypeId) => recordTypeId in this._designPicklistValues
+        );
+    }
+
+    // all configuration problems found in App Builder
+    get designProblems() {
+        const res = [...this._configProblems];
+        const fieldApiName = this.activePicklistField;
+        const fieldInfo = this.objectInfo
+            ? this.objectInfo.fields[fieldApiName]
+            : undefined;
+
+        if (!fieldApiName) {
+            res.push(this.labels.picklistFieldRequired);
+        } else if (this.objectInfo && !fieldInfo) {
+            res.push(
+                formatLabel(
+                    this.labels.fieldNotFound,
+                    fieldApiName,
+                    this.objectInfo.label
+                )
+            );
+        } else if (fieldInfo && fieldInfo.dataType !== 'Picklist') {
+            res.push(formatLabel(this.labels.notPicklist, fieldInfo.label));
+        }
+
+        if (fieldInfo && fieldInfo.dataType === 'Picklist') {
+            Object.keys(this._designPicklistValues).forEach((recordTypeId) => {
+                res.push(...this._getDesignProblems(recordTypeId));
+            });
+        }
+
+        return res.map((message, idx) => {
+            return { key: String(idx), message };
+        });
+    }
+
+    get hasDesignProblems() {
+        return this.designProblems.length > 0;
+    }
+
+    // summary displayed above the preview when no problem was found
+    get designCheckMessage() {
+        return formatLabel(
+            this.isDesignCheckComplete
+                ? this.labels.designNoProblems
+                : this.labels.designChecking,
+            this.designRecordTypeIds.length
+        );
+    }
+
+    // aria-readonly attribute of the path, as a string
+    get pathAriaReadOnly() {
+        return String(this.isReadOnly);
+    }
+
+    // true when the component is used in a Screen Flow
+    get isFlowScreen() {
+        return Array.isArray(this.availableActions);
+    }
+
+    // key fields, closed step fields, controlling field and creation date, loaded together with the record
+    get optionalFields() {
+        const res = [];
+
+        if (!this.objectApiName) {
+            return res;
+        }
+
+        const fieldApiNames = [];
+
+        Object.values(this._guidanceByStep).forEach((guidance) => {
+            fieldApiNames.push(...guidance.keyFields);
+        });
+
+        Object.values(this._fieldsByClosedStep).forEach((fields) => {
+            fieldApiNames.push(...fields);
+        });
+
+        if (this.activePicklistField) {
+            // picklist field might not be in the page layout when it comes from custom metadata
+            fieldApiNames.push(this.activePicklistField);
+        }
+
+        if (this.controllerFieldName) {
+            fieldApiNames.push(this.controllerFieldName);
+        }
 
-        // set new field value
-        toUpdate.fields[this.picklistField] = stepValue;
+        if (this.subStatusField) {
+            fieldApiNames.push(this.subStatusField);
+        }
 
-        // starts spinner
-        this.spinner = true;
+        if (this.showTimeInStage) {
+            // time in the first step is computed from the creation date
+            fieldApiNames.push('CreatedDate');
+        }
 
-        updateRecord(toUpdate)
-            .then(() => {
-                // close spinner
-                this.spinner = false;
-            })
-            .catch((error) => {
-                this.errorMsg = error.body.message;
-                this.spinner = false;
-            });
+        fieldApiNames.forEach((fieldApiName) => {
+            const qualifiedName = `${this.objectApiName}.${fieldApiName}`;
 
-        // reset component state
-        this._resetComponentState();
+            if (!res.includes(qualifiedName)) {
+                res.push(qualifiedName);
+            }
+        });
+
+        return res;
     }
 
-    /* ========== GETTER METHODS ========== */
+    // API name of the field controlling the picklist field, if any
+    get controllerFieldName() {
+        const fieldInfo = this.objectInfo
+            ? this.objectInfo.fields[this.activePicklistField]
+            : undefined;
 
-    // returns current step of path assistant
-    get currentStep() {
-        for (let idx in this.possibleSteps) {
-            if (
-                this.possibleSteps[idx].equals(
-                    this.record.fields[this.picklistField].value
-                )
-            ) {
-                return this.possibleSteps[idx];
-            }
-        }
-        // empty step
-        return new Step();
+        return fieldInfo ? fieldInfo.controllerName : undefined;
     }
 
-    // returns next step
-    get nextStep() {
-        return this.possibleSteps[this.currentStep.index + 1];
+    // true if guidance or key fields are configured for at least one step
+    get hasGuidance() {
+        return Object.keys(this._guidanceByStep).length > 0;
     }
 
-    // get progress bar steps
-    get steps() {
-        let closedOkElem;
-        let closedKoElem;
+    // step selected by the user, or the current one, whose guidance is displayed
+    get guidanceStepValue() {
+        return this.selectedStepValue || this.currentStep.value;
+    }
 
-        // makes a copy of picklistValues. This is because during rendering phase we cannot alter the status of a tracked variable
-        // const possibleSteps = JSON.parse(JSON.stringify(this.possibleSteps));
+    // guidance of the step selected by the user, or of the current one
+    get activeGuidance() {
+        return (
+            this._guidanceByStep[this.guidanceStepValue] || new StepGuidance()
+        );
+    }
 
-        let res = this.possibleSteps
-            .filter((step) => {
-                // filters out closed steps
-                if (step.equals(this.closedOk)) {
-                    closedOkElem = step;
-                    return false;
-                }
+    get guidanceText() {
+        return this.activeGuidance.guidance;
+    }
 
-                if (step.equals(this.closedKo)) {
-                    closedKoElem = step;
-                    return false;
-                }
+    // key fields of the active step. In flows the record is never updated,
+    // so key fields are not displayed
+    get keyFields() {
+        if (this.isFlowScreen || !this.record) {
+            return [];
+        }
 
-                return true;
-            })
-            .map((step) => {
-                // adds the classText property used to render correctly the element
-                step.setClassText(this._getStepElementCssClass(step));
-                return step;
-            });
+        return this._getFieldDescriptors(
+            this.activeGuidance.keyFields,
+            this._getKeyFieldChanges()
+        );
+    }
 
-        let lastStep;
+    get hasKeyFields() {
+        return this.keyFields.length > 0;
+    }
 
-        if (this.isClosedOk) {
-            lastStep = closedOkElem;
-        } else if (this.isClosedKo) {
-            lastStep = closedKoElem;
-        } else {
-            // record didn't reach a closed step
-            // create a fake one that will allow users to pick either the closedOk or closedKo
-            lastStep = new Step(
-                OPEN_MODAL_TO_SELECT_CLOSED_STEP,
-                this.lastStepLabel,
-                Infinity
-            );
+    get pathClass() {
+        let classText = 'slds-path';
+
+        if (this.hasGuidance) {
+            classText += ' slds-path_has-coaching';
         }
 
-        lastStep.setClassText(this._getStepElementCssClass(lastStep));
+        if (this.isGuidanceExpanded) {
+            classText += ' slds-is-expanded';
+        }
 
-        res.push(lastStep);
+        if (this.isReadOnly) {
+            classText += ' path-assistant_read-only';
+        }
 
-        return res;
-    }
+        if (this.isVerticalLayout) {
+            classText += ' path-assistant_vertical';
+        } else if (this.isCompactLayout) {
+            classText += ' path-assistant_compact';
+        }
 
-    // returns only closed steps
-    get closedSteps() {
-        return this.possibleSteps.filter((step) => {
-            return step.equals(this.closedKo) || step.equals(this.closedOk);
-        });
+        return classText;
     }
 
-    // return action button text label
-    get updateButtonText() {
-        return this._currentScenario
-            ? this._currentScenario.layout.getUpdateButtonText(
-                  this.picklistFieldLabel
-              )
-            : '';
+    // aria attributes need a string value
+    get guidanceAriaExpanded() {
+        return String(this.isGuidanceExpanded);
     }
 
-    // returns the header for the modal
-    get modalHeader() {
-        return this._currentScenario
-            ? this._currentScenario.layout.getModalHeader(
-                  this.picklistFieldLabel
-              )
-            : '';
+    // true when step changes are recorded, never in flows as the record is not updated
+    get isAuditEnabled() {
+        return (
+            !!this.auditTrail &&
+            this.auditTrail !== AuditTrail.NONE &&
+            !this.isFlowScreen
+        );
     }
 
-    // returns the label for the select input field inside the modal
-    get selectLabel() {
-        return this.picklistFieldLabel;
+    // true when users can enter a comment together with the step change
+    get isCommentVisible() {
+        return this.showComment && this.isAuditEnabled && !this.isReadOnly;
     }
 
-    // returns the label of the picklist field used to render the path
-    get picklistFieldLabel() {
-        return this.objectInfo.fields[this.picklistField].label;
+    // record id, set only when step changes are recorded as records, events can't be queried
+    get transitionHistoryRecordId() {
+        return this.auditTrail === AuditTrail.OBJECT && !this.isFlowScreen
+            ? this.recordId
+            : undefined;
     }
 
-    // true if current record reached a closed step
-    get isClosed() {
-        return this.isClosedKo || this.isClosedOk;
+    // true when the history popover can be displayed
+    get isTransitionHistoryAvailable() {
+        return !!this._transitionHistory;
     }
 
-    // true if current record was closed OK
-    get isClosedOk() {
-        return this.currentStep.equals(this.closedOk);
+    get hasTransitionHistory() {
+        return this.transitionHistory.length > 0;
     }
 
-    // true if current record was closed KO
-    get isClosedKo() {
-        return this.currentStep.equals(this.closedKo);
+    // last step changes, with a description of each one
+    get transitionHistory() {
+        const getStepLabel = (stepValue) =>
+            this._getStep(stepValue).label || stepValue || this.labels.none;
+
+        return (this._transitionHistory || []).map((entry) => {
+            return {
+                id: entry.id,
+                createdDate: entry.createdDate,
+                comment: entry.comment,
+                description: formatLabel(
+                    this.labels.transitionHistoryEntry,
+                    entry.createdByName,
+                    this.picklistFieldLabel,
+                    getStepLabel(entry.fromStep),
+                    getStepLabel(entry.toStep)
+                )
+            };
+        });
     }
 
-    // true when all required data is loaded
-    get isLoaded() {
-        const res = this.record && this.objectInfo && this.possibleSteps;
-        if (res && !this._currentScenario) {
-            // when fully loaded initialize the action
-            this._setCurrentScenario();
-        }
-        return res;
+    get historyAriaExpanded() {
+        return String(this.isHistoryExpanded);
     }
 
-    // true if picklist field is empty and user didn't select any value yet
-    get isUpdateButtonDisabled() {
-        return !this.currentStep.hasValue() && !this.selectedStepValue;
-    }
+    get guidanceToggleIcon() {
+        if (this.isGuidanceExpanded) {
+            return 'utility:chevrondown';
+        }
 
-    // true if either spinner = true or component is not fully loaded
-    get hasToShowSpinner() {
-        return this.spinner || !this.isLoaded;
+        return this.isRightToLeft
+            ? 'utility:chevronleft'
+            : 'utility:chevronright';
     }
 
-    get genericErrorMessage() {
-        return this.labels.genericErrorMessage;
+    // text direction of user's language, either ltr or rtl
+    get textDirection() {
+        return TEXT_DIRECTION;
     }
 
-    get displayUpdateButton() {
-        return !this.hideUpdateButton;
+    get isRightToLeft() {
+        return TEXT_DIRECTION === 'rtl';
     }
 
     /* ========== EVENT HANDLER METHODS ========== */
 
+    // fields to fill in the modal for the selected closed step
+    get closedStepFieldList() {
+        if (!this._selectedClosedStepValue || this.isFlowScreen) {
+            return [];
+        }
+
+        return this._getFieldDescriptors(
+            this._fieldsByClosedStep[this._selectedClosedStepValue] || [],
+            this._closedStepFieldChanges
+        );
+    }
+
     /**
      * Called when user press either the Cancel button or the Close icon
      * in the modal.
      */
     closeModal() {
         this.openModal = false;
+        this.modalErrorMsg = undefined;
+        this._pendingTransition = undefined;
+        this._modalSubStatusValue = undefined;
+        this._closedStepFieldChanges = {};
+        this._focusUpdateButtonOnRender = true;
+    }
+
+    /**
+     * Called when user presses a key inside the modal.
+     * Closes the modal on Escape and keeps the focus inside it on Tab.
+     * @param {KeyboardEvent} event Keydown event
+     */
+    handleModalKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.closeModal();
+            return;
+        }
+
+        if (event.key !== 'Tab') {
+            return;
+        }
+
+        const firstElement = this.template.querySelector('[data-modal-first]');
+        const lastElement = this.template.querySelector('[data-modal-last]');
+
+        if (event.shiftKey) {
+            // moving backwards from the first element, or from the modal itself
+            if (
+                event.target === firstElement ||
+                event.target === event.currentTarget
+            ) {
+                event.preventDefault();
+                lastElement.focus();
+            }
+        } else if (event.target === lastElement) {
+            event.preventDefault();
+            firstElement.focus();
+        }
     }
 
     /**
@@ -530,6 +3255,7 @@ export default class PathAssistant extends LightningElement {
      */
     setClosedStep(event) {
         this._selectedClosedStepValue = event.target.value;
+        this._modalSubStatusValue = undefined;
     }
 
     /**
@@ -537,8 +3263,247 @@ export default class PathAssistant extends LightningElement {
      * @param {Event} event Click event
      */
     handleStepSelected(event) {
-        this.selectedStepValue = event.currentTarget.getAttribute('data-value');
-        this._setCurrentScenario();
+        this._selectStep(event.currentTarget.getAttribute('data-value'));
+    }
+
+    /**
+     * Called when user presses a key on a step.
+     * Arrow, Home and End keys move the focus, Enter and Space select the step.
+     * @param {KeyboardEvent} event Keydown event
+     */
+    handleStepKeyDown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this._selectStep(event.currentTarget.getAttribute('data-value'));
+            return;
+        }
+
+        const focusedValue = this._moveFocus(event, '.path-assistant__steps');
+
+        if (focusedValue !== undefined) {
+            this._focusedStepValue = focusedValue;
+        }
+    }
+
+    /**
+     * Called when user presses a key on a sub-status.
+     * Arrow, Home and End keys move the focus, Enter and Space select the sub-status.
+     * @param {KeyboardEvent} event Keydown event
+     */
+    handleSubStepKeyDown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.handleSubStepSelected(event);
+            return;
+        }
+
+        const focusedValue = this._moveFocus(
+            event,
+            '.path-assistant__sub-path'
+        );
+
+        if (focusedValue !== undefined) {
+            this._focusedSubStepValue = focusedValue;
+        }
+    }
+
+    /**
+     * Called when user picks a step in the compact layout dropdown
+     * @param {Event} event change event
+     */
+    handleStepOptionChange(event) {
+        const stepValue = event.target.value;
+        this._selectStep(stepValue);
+
+        if (this.selectedStepValue !== stepValue) {
+            // selection refused, the dropdown goes back to the active step
+            event.target.value = this.selectedStepValue || this.currentValue;
+        }
+    }
+
+    /**
+     * Called when user clicks on a sub-status. For the current step it's saved
+     * right away, for another step it's saved together with the step.
+     * @param {Event} event Click event
+     */
+    handleSubStepSelected(event) {
+        if (this.isSaving || this.isReadOnly) {
+            return;
+        }
+
+        const subStatusValue = event.currentTarget.getAttribute('data-value');
+
+        if (this.subStatusStepValue === this.currentValue) {
+            if (
+                subStatusValue !==
+                    this.record.fields[this.subStatusField].value &&
+                this._dispatchBeforeStepChange(this.currentValue, {
+                    [this.subStatusField]: subStatusValue
+                })
+            ) {
+                this._updateRecord(this.currentValue, {
+                    [this.subStatusField]: subStatusValue
+                });
+            }
+        } else {
+            this._pendingSubStatusValue = subStatusValue;
+        }
+    }
+
+    /**
+     * Called when user picks a sub-status in the modal
+     * @param {Event} event change event
+     */
+    setModalSubStatus(event) {
+        this._modalSubStatusValue = event.target.value || undefined;
+    }
+
+    /**
+     * Called when user changes the comment of the step change
+     * @param {Event} event change event
+     */
+    handleCommentChange(event) {
+        this.comment = event.target.value;
+    }
+
+    /**
+     * Called when user opens or closes the popover with the last step changes
+     */
+    handleHistoryToggle() {
+        this.isHistoryExpanded = !this.isHistoryExpanded;
+    }
+
+    /**
+     * Called when user expands or collapses the guidance panel
+     */
+    handleGuidanceToggle() {
+        this.isGuidanceExpanded = !this.isGuidanceExpanded;
+    }
+
+    /**
+     * Called when user changes the value of a key field
+     * @param {CustomEvent} event fieldchange event
+     */
+    handleKeyFieldChange(event) {
+        this._clearFieldError(event.detail.fieldApiName);
+        this._keyFieldChanges = {
+            ...this._keyFieldChanges,
+            [this.guidanceStepValue]: {
+                ...this._getKeyFieldChanges(),
+                [event.detail.fieldApiName]: event.detail.value
+            }
+        };
+    }
+
+    /**
+     * Called when user press the Undo button of the toast.
+     * Restores the step and the fields changed by the last update, unless
+     * the record was changed again in the meantime or the transition rules
+     * don't allow to move back to the previous step. The flow or confirmation
+     * configured for the reverse transition, if any, runs first.
+     */
+    handleUndoClick() {
+        const undoAction = this.undoAction;
+        this._hideUndoToast();
+
+        const fieldValues = undoAction ? { ...undoAction.fieldValues } : {};
+        const stepValue = fieldValues[this.activePicklistField];
+        delete fieldValues[this.activePicklistField];
+
+        if (!undoAction) {
+            return;
+        }
+
+        if (!this._canUndo(this.currentValue, stepValue)) {
+            this.updateErrorMsg = formatLabel(
+                this.labels.undoNotAllowed,
+                this._getStep(stepValue).label
+            );
+            return;
+        }
+
+        // the record may have been saved again in the meantime, ifUnmodifiedSince
+        // makes the update fail in that case
+        this._requestUpdate(stepValue, fieldValues, {
+            isUndo: true,
+            ifUnmodifiedSince: undoAction.lastModifiedDate
+        });
+    }
+
+    /**
+     * Called when user closes the undo toast
+     */
+    handleUndoDismiss() {
+        this._hideUndoToast();
+    }
+
+    /**
+     * Called when user dismisses the message displayed when the update fails
+     */
+    handleUpdateErrorDismiss() {
+        this.updateErrorMsg = undefined;
+        this.updateErrorDetails = undefined;
+    }
+
+    /**
+     * Called when user asks to load again the data that failed to load.
+     * Errors are cleared by the wire adapters once they return data.
+     * Apex wires are refreshed, LDS is notified that the record and the user
+     * changed so that it loads them again.
+     */
+    handleRetryClick() {
+        const reloads = [];
+        const recordIds = [this.recordId, this.userIdForProfile].filter(
+            (recordId) => !!recordId
+        );
+
+        if (recordIds.length) {
+            reloads.push(
+                notifyRecordUpdateAvailable(
+                    recordIds.map((recordId) => ({ recordId }))
+                )
+            );
+        }
+
+        [
+            this._wiredPathConfig,
+            this._wiredFieldHistory,
+            this._wiredRecordAccess,
+            this._wiredTransitionHistory
+        ].forEach((wiredResult) => {
+            if (wiredResult) {
+                reloads.push(refreshApex(wiredResult));
+            }
+        });
+
+        this.isRetrying = true;
+
+        Promise.all(reloads)
+            .catch(() => {
+                // wire adapters report their own errors
+            })
+            .finally(() => {
+                this.isRetrying = false;
+            });
+    }
+
+    /**
+     * Called when admins expand or collapse the error details
+     */
+    handleDiagnosticsToggle() {
+        this.showDiagnostics = !this.showDiagnostics;
+    }
+
+    /**
+     * Called when user changes the value of a field inside the modal
+     * @param {CustomEvent} event fieldchange event
+     */
+    handleClosedStepFieldChange(event) {
+        this._clearFieldError(event.detail.fieldApiName);
+        this._closedStepFieldChanges = {
+            ...this._closedStepFieldChanges,
+            [event.detail.fieldApiName]: event.detail.value
+        };
     }
 
     /**
@@ -547,23 +3512,20 @@ export default class PathAssistant extends LightningElement {
     handleUpdateButtonClick() {
         switch (this._currentScenario.constructor) {
             case MarkAsCompleteScenario:
-                if (
-                    this.nextStep.equals(this.closedKo) ||
-                    this.nextStep.equals(this.closedOk)
-                ) {
+                if (!this.nextStep) {
                     // in case next step is a closed one open the modal
-                    this.openModal = true;
+                    this._openModal();
                 } else {
                     // otherwise update the record directly
-                    this._updateRecord(this.nextStep.value);
+                    this._requestUpdate(this.nextStep.value);
                 }
                 break;
             case MarkAsCurrentScenario:
-                this._updateRecord(this.selectedStepValue);
+                this._requestUpdate(this.selectedStepValue);
                 break;
             case SelectClosedScenario:
             case ChangeClosedScenario:
-                this.openModal = true;
+                this._openModal();
                 break;
             default:
                 break;
@@ -578,7 +3540,63 @@ export default class PathAssistant extends LightningElement {
             return;
         }
 
-        this._updateRecord(this._selectedClosedStepValue);
-        this.openModal = false;
+        // all fields required by the closed step have to be filled
+        const isValid = [
+            ...this.template.querySelectorAll(
+                '[data-closed-step-field], [data-sub-status-select]'
+            )
+        ].reduce((res, input) => input.reportValidity() && res, true);
+
+        if (!isValid) {
+            return;
+        }
+
+        // only fields of the selected closed step are saved
+        const fieldValues = {};
+
+        this.closedStepFieldList.forEach((field) => {
+            if (field.apiName in this._closedStepFieldChanges) {
+                fieldValues[field.apiName] = field.value;
+            }
+        });
+
+        if (this.hasModalSubStatusOptions) {
+            fieldValues[this.subStatusField] =
+                this._modalSubStatusValue || null;
+        }
+
+        const stepValue = this._selectedClosedStepValue;
+        this.closeModal();
+
+        if (this.isFlowScreen) {
+            this._setFlowOutput(stepValue);
+        } else {
+            // the modal may be opened again by the transition flow or confirmation
+            this._requestUpdate(stepValue, fieldValues, { isFromModal: true });
+        }
+    }
+
+    /**
+     * Called when user confirms the transition in the modal
+     */
+    handleTransitionConfirm() {
+        this._commitTransition();
+    }
+
+    /**
+     * Called when the status of the transition flow changes.
+     * The record is updated only when the flow finishes successfully.
+     * @param {CustomEvent} event statuschange event
+     */
+    handleFlowStatusChange(event) {
+        if (FLOW_FINISHED_STATUSES.includes(event.detail.status)) {
+            this._commitTransition();
+        } else if (event.detail.status === FLOW_ERROR_STATUS) {
+            this.modalErrorMsg = formatLabel(
+                this.labels.transitionFlowFailed,
+                this.picklistFieldLabel,
+                this.transitionStepLabel
+            );
+        }
     }
 }
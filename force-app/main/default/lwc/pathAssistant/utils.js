@@ -22,10 +22,127 @@ OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.
 */
 
+import invalidStepColorLabel from '@salesforce/label/c.PathAssistant_InvalidStepColor';
+import invalidStepIconLabel from '@salesforce/label/c.PathAssistant_InvalidStepIcon';
+import transitionActionIncompleteLabel from '@salesforce/label/c.PathAssistant_TransitionActionIncomplete';
+
+/**
+ * Replaces numbered placeholders ({0}, {1}, ...) inside a label with the given
+ * arguments. Placeholders can appear in any order, so that translations can
+ * change the word order.
+ * @param {String} label Label containing placeholders
+ * @param  {...any} args Values replacing the placeholders, {0} is the first one
+ */
+export function formatLabel(label, ...args) {
+    return label.replace(/\{(\d+)\}/g, (placeholder, idx) => {
+        return idx < args.length ? args[idx] : placeholder;
+    });
+}
+
+/**
+ * Splits a comma separated list of values, ignoring blanks around the commas
+ * @param {String} str Comma separated list, e.g. "New, Legacy"
+ * @returns {String[]} Values, empty when str is empty
+ */
+export function parseValueList(str) {
+    if (!str) {
+        return [];
+    }
+
+    return str
+        .split(',')
+        .map((elem) => elem.trim())
+        .filter((elem) => !!elem);
+}
+
+/**
+ * Returns true when two ids identify the same record. Ids are either 15 characters
+ * long, case-sensitive, or 18 characters long, the same 15 followed by a checksum
+ * @param {String} id1 Record id
+ * @param {String} id2 Record id
+ */
+export function isSameRecordId(id1, id2) {
+    return !!id1 && !!id2 && id1.slice(0, 15) === id2.slice(0, 15);
+}
+
+/**
+ * Returns the Change Data Capture channel of an object,
+ * e.g. /data/AccountChangeEvent or /data/Project__ChangeEvent
+ * @param {String} objectApiName Object API name
+ */
+export function getChangeEventChannel(objectApiName) {
+    const eventPrefix = objectApiName.endsWith('__c')
+        ? objectApiName.slice(0, -1)
+        : objectApiName;
+
+    return `/data/${eventPrefix}ChangeEvent`;
+}
+
+// pages of Lightning App Builder rendering the components of the page being edited
+const APP_BUILDER_PATHS = [
+    '/flexipageEditor/surface.app',
+    '/visualEditor/appBuilder.app'
+];
+
+// hosts of Experience Builder and of its previews, with and without enhanced domains
+const EXPERIENCE_BUILDER_HOST =
+    /\.((builder|preview|live-preview)\.salesforce-experience\.com|(builder|livepreview)\.salesforce-communities\.com|sitepreview\.force\.com)$/;
+
+/**
+ * Returns true when the component is rendered by Lightning App Builder or
+ * Experience Builder, to preview the page being edited. Builders don't tell
+ * components they are rendered in them, only their URLs are known.
+ * @param {Location} location Location of the page, current one by default
+ */
+export function isPageBuilder(location = window.location) {
+    return (
+        APP_BUILDER_PATHS.includes(location.pathname) ||
+        EXPERIENCE_BUILDER_HOST.test(location.hostname)
+    );
+}
+
+/**
+ * Formats a duration using the biggest unit among days, hours and minutes,
+ * e.g. "3 days" or "5 hours", in the given locale.
+ * @param {Number} ms Duration in milliseconds
+ * @param {String} locale Locale used to format the duration
+ */
+export function formatDuration(ms, locale) {
+    const minutes = Math.floor(ms / 60000);
+    let value = Math.max(minutes, 1);
+    let unit = 'minute';
+
+    if (minutes >= 1440) {
+        value = Math.floor(minutes / 1440);
+        unit = 'day';
+    } else if (minutes >= 60) {
+        value = Math.floor(minutes / 60);
+        unit = 'hour';
+    }
+
+    return new Intl.NumberFormat(locale, {
+        style: 'unit',
+        unit,
+        unitDisplay: 'long'
+    }).format(value);
+}
+
+// type of each scenario, recorded in the audit trail
+export const ScenarioType = {
+    MARK_AS_COMPLETE: 'MarkAsCompleteScenario',
+    MARK_AS_CURRENT: 'MarkAsCurrentScenario',
+    SELECT_CLOSED: 'SelectClosedScenario',
+    CHANGE_CLOSED: 'ChangeClosedScenario',
+    // not a scenario, the last change was undone from the toast
+    UNDO: 'Undo'
+};
+
 /**
  * Defines possible user interaction scenarios.
- * Note: all hard coded text inside the layout elements can be replaced
- * by custom labels.
+ * Note: all text inside the layout elements comes from custom labels.
+ *
+ * A stage is considered closed when it is one of the configured closed values,
+ * regardless of its outcome (see ClosedValue).
  */
 class AbstractScenario {
     // instance of ScenarioLayout
@@ -59,28 +176,32 @@ export class ScenarioState {
 export class ScenarioLayout {
     _modalHeader;
     _updateButtonText;
-    _tokenToReplace;
 
-    constructor(modalHeader, updateButtonText, tokenToReplace) {
+    constructor(modalHeader, updateButtonText) {
         this._modalHeader = modalHeader;
         this._updateButtonText = updateButtonText;
-        this._tokenToReplace = tokenToReplace;
-    }
-
-    getModalHeader(arg) {
-        return this._replaceToken(this._modalHeader, arg);
     }
 
-    getUpdateButtonText(arg) {
-        return this._replaceToken(this._updateButtonText, arg);
+    /**
+     * Returns the modal header
+     * @param  {...any} args Values replacing the numbered placeholders of the label
+     */
+    getModalHeader(...args) {
+        return formatLabel(this._modalHeader, ...args);
     }
 
-    _replaceToken(str, arg) {
-        return str.replace(this._tokenToReplace, arg);
+    /**
+     * Returns the update button text
+     * @param  {...any} args Values replacing the numbered placeholders of the label
+     */
+    getUpdateButtonText(...args) {
+        return formatLabel(this._updateButtonText, ...args);
     }
 }
 
 export class MarkAsCompleteScenario extends AbstractScenario {
+    type = ScenarioType.MARK_AS_COMPLETE;
+
     appliesToState(state) {
         if (state.isClosedStage) {
             return false;
@@ -93,6 +214,8 @@ export class MarkAsCompleteScenario extends AbstractScenario {
 }
 
 export class MarkAsCurrentScenario extends AbstractScenario {
+    type = ScenarioType.MARK_AS_CURRENT;
+
     appliesToState(state) {
         if (state.selectedStage === state.currentStage) {
             return false;
@@ -107,6 +230,8 @@ export class MarkAsCurrentScenario extends AbstractScenario {
 }
 
 export class SelectClosedScenario extends AbstractScenario {
+    type = ScenarioType.SELECT_CLOSED;
+
     appliesToState(state) {
         return (
             !state.isClosedStage && state.selectedStage === state.openModalStage
@@ -115,6 +240,8 @@ export class SelectClosedScenario extends AbstractScenario {
 }
 
 export class ChangeClosedScenario extends AbstractScenario {
+    type = ScenarioType.CHANGE_CLOSED;
+
     appliesToState(state) {
         if (!state.isClosedStage) {
             return false;
@@ -126,12 +253,687 @@ export class ChangeClosedScenario extends AbstractScenario {
     }
 }
 
+// possible outcomes of a closed step
+export const ClosedOutcome = {
+    OK: 'ok',
+    KO: 'ko'
+};
+
+export class ClosedValue {
+    value;
+    outcome;
+
+    constructor(value, outcome) {
+        this.value = value;
+        this.outcome = outcome;
+    }
+
+    /**
+     * Parses a comma separated list of closed values. Each value is followed by
+     * its outcome, separated by a colon: "Completed:ok,Cancelled:ko,Duplicate:ko"
+     * @param {String} str Comma separated list of closed values
+     */
+    static parseList(str) {
+        if (!str) {
+            return [];
+        }
+
+        return str
+            .split(',')
+            .map((elem) => elem.trim())
+            .filter((elem) => !!elem)
+            .map((elem) => {
+                // picklist values can contain a colon, outcome is always the last token
+                const separatorIdx = elem.lastIndexOf(':');
+
+                if (separatorIdx < 0) {
+                    return new ClosedValue(elem);
+                }
+
+                return new ClosedValue(
+                    elem.substring(0, separatorIdx).trim(),
+                    elem
+                        .substring(separatorIdx + 1)
+                        .trim()
+                        .toLowerCase()
+                );
+            });
+    }
+
+    isOk() {
+        return this.outcome === ClosedOutcome.OK;
+    }
+
+    isKo() {
+        return this.outcome === ClosedOutcome.KO;
+    }
+
+    // true if outcome is one of the supported ClosedOutcome values
+    isValid() {
+        return this.isOk() || this.isKo();
+    }
+}
+
+// reasons why moving the record to a step is not allowed
+export const TransitionViolation = {
+    NOT_ALLOWED: 'notAllowed',
+    SKIPPING: 'skipping',
+    REGRESSION: 'regression'
+};
+
+// where step changes are recorded
+export const AuditTrail = {
+    NONE: 'none',
+    // Path_Assistant_Transition__c records
+    OBJECT: 'object',
+    // Path_Assistant_Transition__e platform events
+    EVENT: 'event'
+};
+
+// how often reaching a celebrated step shows the celebration
+export const CelebrationFrequency = {
+    ALWAYS: 'always',
+    OFTEN: 'often',
+    RARELY: 'rarely',
+    NEVER: 'never'
+};
+
+// chance to celebrate for each CelebrationFrequency value
+const CELEBRATION_PROBABILITIES = {
+    [CelebrationFrequency.ALWAYS]: 1,
+    [CelebrationFrequency.OFTEN]: 0.5,
+    [CelebrationFrequency.RARELY]: 0.2,
+    [CelebrationFrequency.NEVER]: 0
+};
+
+/**
+ * Randomly decides whether to celebrate, according to the frequency
+ * @param {String} frequency CelebrationFrequency value, never when unknown
+ * @param {Number} random Random number between 0 (included) and 1 (excluded)
+ */
+export function isCelebrationDue(frequency, random) {
+    return random < (CELEBRATION_PROBABILITIES[frequency] || 0);
+}
+
+// ways the path can be rendered
+export const PathLayout = {
+    AUTO: 'auto',
+    HORIZONTAL: 'horizontal',
+    VERTICAL: 'vertical',
+    COMPACT: 'compact'
+};
+
+export class TransitionState {
+    fromStep;
+    toStep;
+    nextStep;
+    isFromClosed;
+    isToClosed;
+    canRegress;
+
+    /**
+     * @param {Step} fromStep Current step of the record
+     * @param {Step} toStep Step the record should move to
+     * @param {Step} nextStep Next open step, undefined when only closed steps are left
+     * @param {Boolean} isFromClosed True if current step is a closed one
+     * @param {Boolean} isToClosed True if target step is a closed one
+     * @param {Boolean} canRegress True if user is allowed to move the record backwards
+     */
+    constructor(
+        fromStep,
+        toStep,
+        nextStep,
+        isFromClosed,
+        isToClosed,
+        canRegress
+    ) {
+        this.fromStep = fromStep;
+        this.toStep = toStep;
+        this.nextStep = nextStep;
+        this.isFromClosed = isFromClosed;
+        this.isToClosed = isToClosed;
+        this.canRegress = canRegress;
+    }
+
+    // true when the record would skip at least one open step
+    isSkipping() {
+        if (this.isFromClosed) {
+            return false;
+        }
+
+        if (this.isToClosed) {
+            // closed steps can be reached only after the last open one
+            return !!this.nextStep;
+        }
+
+        return !!this.nextStep && this.toStep.isAfter(this.nextStep);
+    }
+
+    // true when the record would move back to a previous step
+    isRegression() {
+        if (this.isFromClosed) {
+            // reopening a closed record
+            return !this.isToClosed;
+        }
+
+        return (
+            !this.isToClosed &&
+            this.fromStep.hasValue() &&
+            this.toStep.isBefore(this.fromStep)
+        );
+    }
+}
+
+/**
+ * Declarative rules that restrict the steps a record can move to.
+ * When a step is listed in the transition matrix only the listed steps can be
+ * reached from it, otherwise skipping and regression rules apply.
+ */
+export class TransitionRules {
+    _allowedTargets;
+    preventSkipping;
+    preventRegressions;
+
+    constructor(allowedTargets, preventSkipping, preventRegressions) {
+        this._allowedTargets = allowedTargets || {};
+        this.preventSkipping = !!preventSkipping;
+        this.preventRegressions = !!preventRegressions;
+    }
+
+    /**
+     * Creates the rules from the JSON transition matrix. Keys are step values,
+     * values the steps that can be reached: {"New": ["In Progress", "On Hold"]}
+     * @param {String} str JSON transition matrix
+     * @param {Boolean} preventSkipping True to forbid skipping steps
+     * @param {Boolean} preventRegressions True to forbid moving backwards
+     */
+    static parse(str, preventSkipping, preventRegressions) {
+        return new TransitionRules(
+            str ? JSON.parse(str) : {},
+            preventSkipping,
+            preventRegressions
+        );
+    }
+
+    /**
+     * Checks if a transition is allowed
+     * @param {TransitionState} state Transition to check
+     * @returns {String} TransitionViolation value, undefined when the transition is allowed
+     */
+    check(state) {
+        if (state.fromStep.equals(state.toStep)) {
+            return undefined;
+        }
+
+        const allowedTargets = this._allowedTargets[state.fromStep.value];
+
+        if (allowedTargets) {
+            return allowedTargets.includes(state.toStep.value)
+                ? undefined
+                : TransitionViolation.NOT_ALLOWED;
+        }
+
+        if (
+            this.preventRegressions &&
+            !state.canRegress &&
+            state.isRegression()
+        ) {
+            return TransitionViolation.REGRESSION;
+        }
+
+        if (this.preventSkipping && state.isSkipping()) {
+            return TransitionViolation.SKIPPING;
+        }
+
+        return undefined;
+    }
+}
+
+/**
+ * Screen Flow or confirmation required before moving the record between steps.
+ */
+export class TransitionAction {
+    // values of the steps the record moves from, empty for any step
+    fromValues;
+
+    // values of the steps the record moves to, empty for any step
+    toValues;
+
+    // API name of the Screen Flow to run
+    flowApiName;
+
+    // message users have to confirm, when no flow is set
+    confirmMessage;
+
+    constructor(fromValues, toValues, flowApiName, confirmMessage) {
+        this.fromValues = fromValues || [];
+        this.toValues = toValues || [];
+        this.flowApiName = flowApiName;
+        this.confirmMessage = confirmMessage;
+    }
+
+    get isFlow() {
+        return !!this.flowApiName;
+    }
+
+    /**
+     * Checks if the action applies to a transition
+     * @param {String} fromValue Value of the step the record is in
+     * @param {String} toValue Value of the step the record moves to
+     */
+    matches(fromValue, toValue) {
+        return (
+            fromValue !== toValue &&
+            (!this.fromValues.length || this.fromValues.includes(fromValue)) &&
+            (!this.toValues.length || this.toValues.includes(toValue))
+        );
+    }
+
+    /**
+     * Parses the JSON list of transition actions. from and to accept a step value
+     * or a list of values, when missing the action applies to any step:
+     * [{"to": "Contract Sent", "flow": "Generate_Contract"}, {"from": "Closed", "confirm": "Reopen?"}]
+     * @param {String} str JSON configuration
+     * @returns {TransitionAction[]} Actions, in the configured order
+     * @throws {Error} When an action has neither a flow nor a confirmation message
+     */
+    static parseList(str) {
+        if (!str) {
+            return [];
+        }
+
+        const toList = (value) => {
+            if (!value) {
+                return [];
+            }
+
+            return Array.isArray(value) ? value : [value];
+        };
+
+        return JSON.parse(str).map((config, idx) => {
+            if (!config.flow && !config.confirm) {
+                throw new Error(
+                    formatLabel(transitionActionIncompleteLabel, idx + 1)
+                );
+            }
+
+            return new TransitionAction(
+                toList(config.from),
+                toList(config.to),
+                config.flow,
+                config.confirm
+            );
+        });
+    }
+}
+
+/**
+ * Time spent by a record in each step, computed from the picklist field history.
+ */
+export class StepDurations {
+    // step value => milliseconds spent in the step
+    _durations = {};
+
+    // value of the step the record is in since the last change
+    currentStepValue;
+
+    // date of the last change
+    currentStepSince;
+
+    /**
+     * @param {Object[]} historyEntries Field changes, oldest first, each one with
+     * changedDate, oldValue and newValue properties
+     * @param {String} createdDate Record creation date
+     * @param {Number} now Current timestamp
+     */
+    constructor(historyEntries, createdDate, now) {
+        let stepValue = historyEntries.length
+            ? historyEntries[0].oldValue
+            : undefined;
+        let stepSince = new Date(createdDate).getTime();
+
+        historyEntries.forEach((entry) => {
+            const changedDate = new Date(entry.changedDate).getTime();
+            this._addDuration(stepValue, changedDate - stepSince);
+
+            stepValue = entry.newValue;
+            stepSince = changedDate;
+        });
+
+        this._addDuration(stepValue, now - stepSince);
+
+        this.currentStepValue = stepValue;
+        this.currentStepSince = stepSince;
+    }
+
+    _addDuration(stepValue, ms) {
+        if (stepValue) {
+            this._durations[stepValue] = (this._durations[stepValue] || 0) + ms;
+        }
+    }
+
+    /**
+     * Returns the total time spent in a step, undefined if the record never was in it
+     * @param {Step} step Step instance
+     */
+    getDuration(step) {
+        return this._durations[step.value];
+    }
+}
+
+export class StepGuidance {
+    guidance;
+    keyFields;
+
+    constructor(guidance, keyFields) {
+        this.guidance = guidance;
+        this.keyFields = keyFields || [];
+    }
+
+    /**
+     * Parses the JSON configuration of guidance and key fields. Keys are step values:
+     * {"Prospecting": {"guidance": "Qualify the lead", "keyFields": ["Amount", "CloseDate"]}}
+     * @param {String} str JSON configuration
+     * @returns {Object} Step value => StepGuidance instance
+     */
+    static parseMap(str) {
+        const res = {};
+
+        if (!str) {
+            return res;
+        }
+
+        const config = JSON.parse(str);
+
+        Object.keys(config).forEach((stepValue) => {
+            res[stepValue] = new StepGuidance(
+                config[stepValue].guidance,
+                config[stepValue].keyFields
+            );
+        });
+
+        return res;
+    }
+}
+
+// colors that can be given to a step. Each one has a CSS class in pathAssistant.css
+// with a contrast ratio of at least 4.5:1 against the step text
+export const StepColor = {
+    AMBER: 'amber',
+    BLUE: 'blue',
+    GRAY: 'gray',
+    GREEN: 'green',
+    PINK: 'pink',
+    PURPLE: 'purple',
+    RED: 'red',
+    TEAL: 'teal'
+};
+
+// icon displayed in steps without a custom one
+const DEFAULT_STEP_ICON = 'utility:check';
+
+export class StepStyle {
+    color;
+    iconName;
+
+    constructor(color, iconName) {
+        this.color = color;
+        this.iconName = iconName;
+    }
+
+    /**
+     * Parses the JSON configuration of step colors and icons. Keys are step values:
+     * {"On Hold": {"color": "amber", "icon": "utility:pause"}}
+     * @param {String} str JSON configuration
+     * @returns {Object} Step value => StepStyle instance
+     * @throws {Error} When a color is not one of StepColor values or an icon is not
+     * in the category:name format
+     */
+    static parseMap(str) {
+        const res = {};
+
+        if (!str) {
+            return res;
+        }
+
+        const config = JSON.parse(str);
+        const colors = Object.values(StepColor);
+
+        Object.keys(config).forEach((stepValue) => {
+            const { color, icon } = config[stepValue];
+
+            if (color && !colors.includes(color)) {
+                throw new Error(
+                    formatLabel(
+                        invalidStepColorLabel,
+                        stepValue,
+                        color,
+                        colors.join(', ')
+                    )
+                );
+            }
+
+            if (icon && !/^[a-z]+:[\w-]+$/.test(icon)) {
+                throw new Error(
+                    formatLabel(invalidStepIconLabel, stepValue, icon)
+                );
+            }
+
+            res[stepValue] = new StepStyle(color, icon);
+        });
+
+        return res;
+    }
+}
+
+/**
+ * Describes a record field so that it can be rendered as an input.
+ * Built from the field metadata returned by getObjectInfo.
+ */
+export class FieldDescriptor {
+    apiName;
+    label;
+    dataType;
+    helpText;
+    updateable;
+    required;
+    scale;
+    options;
+    value;
+    displayValue;
+    errorMessage;
+
+    /**
+     * @param {Object} fieldInfo Field metadata, element of objectInfo.fields
+     * @param {Object} picklistValues Picklist values of the field for current record type, if any
+     * @param {Object} fieldValue Field value, element of record.fields
+     */
+    constructor(fieldInfo, picklistValues, fieldValue) {
+        this.apiName = fieldInfo.apiName;
+        this.label = fieldInfo.label;
+        this.dataType = fieldInfo.dataType;
+        this.helpText = fieldInfo.inlineHelpText;
+        this.updateable = fieldInfo.updateable;
+        this.required = fieldInfo.required;
+        this.scale = fieldInfo.scale;
+        this.options = picklistValues
+            ? picklistValues.values.map((elem) => {
+                  return { label: elem.label, value: elem.value };
+              })
+            : [];
+
+        if (fieldValue) {
+            this.value = fieldValue.value;
+            this.displayValue = fieldValue.displayValue;
+        }
+    }
+
+    setValue(val) {
+        this.value = val;
+        this.displayValue = undefined;
+    }
+
+    setReadOnly() {
+        this.updateable = false;
+    }
+
+    // message of the last failed save, if it was caused by this field
+    setError(message) {
+        this.errorMessage = message;
+    }
+}
+
+/**
+ * Error returned by a wire adapter, updateRecord or an Apex call, split into
+ * messages users can act on and details useful to admins.
+ */
+export class ErrorDetails {
+    // messages not related to a specific field
+    messages = [];
+
+    // field API name => message
+    fieldErrors = {};
+
+    // error codes returned by the server, e.g. FIELD_CUSTOM_VALIDATION_EXCEPTION
+    errorCodes = [];
+
+    // HTTP status, undefined for client side errors
+    status;
+
+    // original error, for diagnostics
+    raw;
+
+    /**
+     * @param {Object|Object[]} error Error, or list of errors, as received from the platform
+     */
+    constructor(error) {
+        this.raw = error;
+        this._add(error);
+    }
+
+    _add(error) {
+        if (!error) {
+            return;
+        }
+
+        if (Array.isArray(error)) {
+            error.forEach((elem) => this._add(elem));
+            return;
+        }
+
+        if (error.status && !this.status) {
+            this.status = error.status;
+        }
+
+        const body = error.body;
+
+        if (Array.isArray(body)) {
+            // e.g. errors of a failed Apex call
+            body.forEach((elem) => this._addMessage(elem));
+        } else if (body && body.output) {
+            // record API errors: page level and field level ones
+            body.output.errors.forEach((elem) => this._addMessage(elem));
+            Object.keys(body.output.fieldErrors || {}).forEach(
+                (fieldApiName) => {
+                    body.output.fieldErrors[fieldApiName].forEach((elem) => {
+                        this.fieldErrors[fieldApiName] = elem.message;
+                        this._addErrorCode(elem.errorCode);
+                    });
+                }
+            );
+
+            if (!this.messages.length && !this.hasFieldErrors()) {
+                this._addMessage(body);
+            }
+        } else if (body) {
+            this._addMessage(body);
+        } else {
+            // client side error
+            this._addMessage(error);
+        }
+    }
+
+    _addMessage(elem) {
+        if (elem.message && !this.messages.includes(elem.message)) {
+            this.messages.push(elem.message);
+        }
+
+        this._addErrorCode(elem.errorCode);
+    }
+
+    _addErrorCode(errorCode) {
+        if (errorCode && !this.errorCodes.includes(errorCode)) {
+            this.errorCodes.push(errorCode);
+        }
+    }
+
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+
+    /**
+     * Returns all messages as a single text
+     * @param {String[]} displayedFieldApiNames Fields whose errors are displayed
+     * next to them, their messages are left out
+     */
+    getMessage(displayedFieldApiNames = []) {
+        const fieldMessages = Object.keys(this.fieldErrors)
+            .filter(
+                (fieldApiName) => !displayedFieldApiNames.includes(fieldApiName)
+            )
+            .map((fieldApiName) => this.fieldErrors[fieldApiName]);
+
+        return [...this.messages, ...fieldMessages].join(' ');
+    }
+
+    // details displayed to admins
+    get diagnostics() {
+        return JSON.stringify(
+            {
+                status: this.status,
+                errorCodes: this.errorCodes,
+                fieldErrors: this.fieldErrors,
+                error: this.raw
+            },
+            null,
+            2
+        );
+    }
+}
+
 export class Step {
     value;
     label;
     index;
     classText;
 
+    // explains why the step can't be selected, undefined when it can
+    disabledReason;
+
+    // time spent by the record in the step, as text
+    durationText;
+
+    // true if the record spent too much time in the step
+    isStale = false;
+
+    // accessibility state, see setAriaState
+    ariaSelected = 'false';
+    ariaCurrent = 'false';
+    tabIndex = -1;
+    isActive = false;
+
+    // true if the step is not displayed in the path, e.g. a hidden value the record is in
+    isOffPath = false;
+
+    // StepColor value, undefined for the standard path colors
+    color;
+
+    // icon displayed when hovering the step
+    iconName = DEFAULT_STEP_ICON;
+
+    // true when the icon is configured, in which case it's always visible
+    hasCustomIcon = false;
+
     constructor(value, label, index) {
         this.value = value;
         this.label = label;
@@ -164,6 +966,70 @@ export class Step {
         this.classText = val;
     }
 
+    setDisabledReason(val) {
+        this.disabledReason = val;
+    }
+
+    setOffPath() {
+        this.isOffPath = true;
+    }
+
+    /**
+     * Applies the configured color and icon
+     * @param {StepStyle} stepStyle Step style, undefined to use the standard ones
+     */
+    setStyle(stepStyle) {
+        this.color = stepStyle ? stepStyle.color : undefined;
+        this.hasCustomIcon = !!(stepStyle && stepStyle.iconName);
+        this.iconName = this.hasCustomIcon
+            ? stepStyle.iconName
+            : DEFAULT_STEP_ICON;
+    }
+
+    /**
+     * Sets the time spent by the record in the step
+     * @param {String} durationText Time spent in the step, as text
+     * @param {Boolean} isStale True if the record spent too much time in the step
+     */
+    setDuration(durationText, isStale) {
+        this.durationText = durationText;
+        this.isStale = !!isStale;
+    }
+
+    // text displayed when hovering the step
+    get tooltip() {
+        return [this.disabledReason, this.durationText]
+            .filter((elem) => !!elem)
+            .join('\n');
+    }
+
+    isDisabled() {
+        return !!this.disabledReason;
+    }
+
+    /**
+     * Sets the accessibility attributes of the step
+     * @param {Boolean} isSelected True if step is the active one
+     * @param {Boolean} isCurrent True if step is the record's current one
+     * @param {Boolean} isFocusable True if step can be reached with the Tab key
+     */
+    setAriaState(isSelected, isCurrent, isFocusable) {
+        this.isActive = !!isSelected;
+        this.ariaSelected = String(isSelected);
+        this.ariaCurrent = isCurrent ? 'step' : 'false';
+        this.tabIndex = isFocusable ? 0 : -1;
+    }
+
+    // aria attributes need a string value
+    get ariaDisabled() {
+        return String(this.isDisabled());
+    }
+
+    // disabled state of the option in the compact layout dropdown
+    get optionDisabled() {
+        return this.isDisabled();
+    }
+
     /**
      * Returns true if current instance has a lower index value than the other one
      * @param {Step} otherStep Step instance to compare
@@ -0,0 +1,160 @@
+/**
+ MIT License
+
+Copyright (c) 2024 Marco Zeuli <marco@spaghetti.dev>;
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/**
+ * Renders a single record field as an input, based on the field metadata
+ * described by a FieldDescriptor (see pathAssistant/utils.js).
+ * It doesn't save anything, the new value is notified with a fieldchange event.
+ */
+import { LightningElement, api } from 'lwc';
+
+// maps UI API data types to lightning-input types
+const INPUT_TYPES = {
+    Boolean: 'checkbox',
+    Currency: 'number',
+    Date: 'date',
+    DateTime: 'datetime',
+    Double: 'number',
+    Email: 'email',
+    Int: 'number',
+    Percent: 'number',
+    Phone: 'tel',
+    String: 'text',
+    Url: 'url'
+};
+
+export default class PathAssistantField extends LightningElement {
+    // FieldDescriptor instance
+    @api field;
+
+    // when true the field is rendered as required regardless of its metadata
+    @api required;
+
+    // error message currently displayed on the input
+    _reportedError = '';
+
+    renderedCallback() {
+        const input = this.template.querySelector('[data-input]');
+        const errorMessage = this.field.errorMessage || '';
+
+        if (input && errorMessage !== this._reportedError) {
+            // errors returned by the server when the record was saved
+            input.setCustomValidity(errorMessage);
+            input.reportValidity();
+            this._reportedError = errorMessage;
+        }
+    }
+
+    /**
+     * Displays the validity state of the input
+     * @returns {Boolean} true if the input is valid
+     */
+    @api
+    reportValidity() {
+        const input = this.template.querySelector('[data-input]');
+        return input ? input.reportValidity() : true;
+    }
+
+    /* ========== GETTER METHODS ========== */
+
+    get isPicklist() {
+        return this.field.dataType === 'Picklist';
+    }
+
+    get isTextArea() {
+        return this.field.dataType === 'TextArea';
+    }
+
+    get isCheckbox() {
+        return this.field.dataType === 'Boolean';
+    }
+
+    // true if field can't be edited or its data type is not supported
+    get isReadOnly() {
+        return (
+            !this.field.updateable ||
+            (!this.isPicklist &&
+                !this.isTextArea &&
+                !INPUT_TYPES[this.field.dataType])
+        );
+    }
+
+    get inputType() {
+        return INPUT_TYPES[this.field.dataType];
+    }
+
+    get formatter() {
+        if (this.field.dataType === 'Currency') {
+            return 'currency';
+        }
+
+        if (this.field.dataType === 'Percent') {
+            return 'percent-fixed';
+        }
+
+        return undefined;
+    }
+
+    // allowed decimals for number inputs
+    get step() {
+        if (this.inputType !== 'number') {
+            return undefined;
+        }
+
+        return this.field.scale ? Math.pow(10, -this.field.scale) : 1;
+    }
+
+    get isRequired() {
+        return this.required || this.field.required;
+    }
+
+    // value displayed when the field is read only
+    get readOnlyValue() {
+        return this.field.displayValue || this.field.value;
+    }
+
+    /* ========== EVENT HANDLER METHODS ========== */
+
+    /**
+     * Called when user changes the input value
+     * @param {Event} event Change event
+     */
+    handleChange(event) {
+        // the server error doesn't apply to the new value
+        event.target.setCustomValidity('');
+
+        const value = this.isCheckbox
+            ? event.target.checked
+            : event.detail.value;
+
+        this.dispatchEvent(
+            new CustomEvent('fieldchange', {
+                detail: {
+                    fieldApiName: this.field.apiName,
+                    value
+                }
+            })
+        );
+    }
+}